@@ -0,0 +1,104 @@
+#!/usr/bin/env node
+
+/**
+ * Build the waqf (pause) mark index src/pause-marks.json
+ * Source: https://tanzil.net/download/ (Uthmani or Simple text with "Include pause marks" checked,
+ * as "Text (with aya numbers)", one "sura|aya|text" line per verse)
+ * Usage: node build-pause-marks.js <quran-simple.txt> [source]
+ *        (source names where the text came from, when it is not a tanzil.net download)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./build-search-index');
+const { alignWords } = require('./build-script-edition');
+
+// The waqf signs QuranTokenizer reads after a word (U+06D6-U+06DC)
+const TRAILING_MARKS = /[ۖ-ۜ](?=[^\p{L}]*$)/gu;
+
+function parseVerses(source) {
+  const verses = new Map();
+  for (const line of source.split('\n')) {
+    const parts = line.trim().split('|');
+    if (parts.length >= 3 && !line.startsWith('#')) {
+      verses.set(`${parseInt(parts[0])}:${parseInt(parts[1])}`, parts.slice(2).join('|').trim());
+    }
+  }
+  return verses;
+}
+
+// Marks by token location ("chapter:verse:token"). Tanzil marks the same words in every
+// script, so the marked text's words are grouped onto the Uthmani tokens as for script
+// editions, and a mark ending a group belongs to that token
+function buildPauseMarks(source, quranData, sourceName = 'Tanzil.net (with pause marks)') {
+  const verses = parseVerses(source);
+  const marks = {};
+  const misaligned = [];
+  let markCount = 0;
+
+  for (const chapter of quranData.chapters) {
+    for (const verse of chapter.verses) {
+      const location = `${chapter.number}:${verse.number}`;
+      if (!verses.has(location)) {
+        throw new Error(`Verse ${location} is missing from the pause-marked text`);
+      }
+      const markedTokens = alignWords(tokenize(verse.text), tokenize(verses.get(location)));
+      if (!markedTokens) {
+        misaligned.push(location);
+        continue;
+      }
+      markedTokens.forEach((token, index) => {
+        const found = token.match(TRAILING_MARKS);
+        if (found) {
+          marks[`${location}:${index + 1}`] = found[found.length - 1];
+          markCount++;
+        }
+      });
+    }
+  }
+
+  if (misaligned.length > 0) {
+    throw new Error(`Could not align the words of ${misaligned.length} verses with the Uthmani tokens: ${misaligned.slice(0, 20).join(', ')}`);
+  }
+  if (markCount === 0) {
+    throw new Error('No pause marks found; download the text with pause marks included');
+  }
+
+  return {
+    source: sourceName,
+    sourceUrl: 'https://tanzil.net/download/',
+    markCount,
+    marks
+  };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.length < 1) {
+    console.log('Usage: node build-pause-marks.js <quran-simple.txt> [source]');
+    process.exit(1);
+  }
+
+  try {
+    console.log('📖 Building the waqf mark index...');
+
+    const srcDir = path.join(__dirname, '..', 'src');
+    const quranData = JSON.parse(fs.readFileSync(path.join(srcDir, 'quran-data.json'), 'utf8'));
+    const pauseMarks = buildPauseMarks(fs.readFileSync(args[0], 'utf8'), quranData, args[1]);
+
+    const outputPath = path.join(srcDir, 'pause-marks.json');
+    fs.writeFileSync(outputPath, JSON.stringify(pauseMarks));
+
+    console.log(`✅ Saved pause marks to ${outputPath}`);
+    console.log(`📊 Marks: ${pauseMarks.markCount}`);
+  } catch (error) {
+    console.error('❌ Error building pause marks:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildPauseMarks };
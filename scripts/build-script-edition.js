@@ -0,0 +1,150 @@
+#!/usr/bin/env node
+
+/**
+ * Build an Arabic script edition (Simple or Simple-Clean) into src/editions/<script>.json
+ * Source: https://tanzil.net/download/ ("Text (with aya numbers)", one "sura|aya|text" line per verse)
+ * Usage: node build-script-edition.js <simple|simple-clean> <quran-simple.txt> [source]
+ *        (source names where the text came from, when it is not a tanzil.net download)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { tokenize } = require('./build-search-index');
+
+const editions = {
+  'simple': { name: 'Simple', source: 'Tanzil.net Simple' },
+  'simple-clean': { name: 'Simple Clean', source: 'Tanzil.net Simple Clean' }
+};
+
+function parseVerses(source) {
+  const verses = new Map();
+  for (const line of source.split('\n')) {
+    const parts = line.trim().split('|');
+    if (parts.length >= 3 && !line.startsWith('#')) {
+      verses.set(`${parseInt(parts[0])}:${parseInt(parts[1])}`, parts.slice(2).join('|').trim());
+    }
+  }
+  return verses;
+}
+
+// Uthmani tokens that leave out a letter the other scripts write
+const UTHMANI_SPELLINGS = {
+  'وَأَلَّوِ': 'وَأَن لَّوِ'
+};
+
+// Letters that spell a word in both scripts: long vowels, hamza seats and tatweel are
+// written differently (يَٰٓأَيُّهَا is يا أيها in Simple), and doubled letters are written
+// once in Uthmani (ٱلَّيْلِ is الليل), so only the rest are compared, once per run
+function skeletonLength(word) {
+  return word.replace(/[^ء-يٱ]/g, '').replace(/[اأإآٱءؤئىيوـ]/g, '').replace(/(.)\1+/g, '$1').length;
+}
+
+// Groups the edition's words so that each group spells one Uthmani token, or null when
+// they cannot be matched up. Verses with as many words as tokens are checked the same way,
+// which then pairs them one to one
+function alignWords(tokens, words) {
+  const aligned = [];
+  let position = 0;
+  for (let i = 0; i < tokens.length; i++) {
+    if (position >= words.length) {
+      return null;
+    }
+    const target = skeletonLength(UTHMANI_SPELLINGS[tokens[i]] || tokens[i]);
+    const group = [words[position++]];
+    let length = skeletonLength(group[0]);
+    while (length < target && position < words.length) {
+      length += skeletonLength(words[position]);
+      group.push(words[position++]);
+    }
+    // Words without letters of their own (يا) begin the next token, except at the end
+    if (i === tokens.length - 1) {
+      for (const word of words.slice(position)) {
+        length += skeletonLength(word);
+        group.push(word);
+      }
+      position = words.length;
+    }
+    if (length !== target) {
+      return null;
+    }
+    aligned.push(group.join(' '));
+  }
+  return aligned;
+}
+
+function buildEdition(script, source, quranData, sourceName = editions[script].source) {
+  const verses = parseVerses(source);
+  const misaligned = [];
+  let tokenCount = 0;
+
+  const chapters = quranData.chapters.map(chapter => ({
+    number: chapter.number,
+    verses: chapter.verses.map(verse => {
+      const location = `${chapter.number}:${verse.number}`;
+      if (!verses.has(location)) {
+        throw new Error(`Verse ${location} is missing from the ${script} text`);
+      }
+      const tokens = tokenize(verse.text);
+      const aligned = alignWords(tokens, tokenize(verses.get(location)));
+      if (!aligned) {
+        misaligned.push(location);
+        return null;
+      }
+      tokenCount += aligned.length;
+      return { number: verse.number, tokens: aligned };
+    })
+  }));
+
+  if (misaligned.length > 0) {
+    throw new Error(`Could not align the words of ${misaligned.length} verses with the Uthmani tokens: ${misaligned.slice(0, 20).join(', ')}`);
+  }
+
+  // Tanzil text files only carry the bismillah as 1:1, so use it wherever the Uthmani text has one
+  const bismillah = chapters[0].verses[0].tokens.join(' ');
+  quranData.chapters.forEach((chapter, index) => {
+    if (chapter.verses[0].bismillah) {
+      chapters[index].verses[0].bismillah = bismillah;
+    }
+  });
+
+  return {
+    script,
+    name: editions[script].name,
+    source: sourceName,
+    sourceUrl: 'https://tanzil.net/download/',
+    tokenCount,
+    chapters
+  };
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.length < 2 || !editions[args[0]]) {
+    console.log(`Usage: node build-script-edition.js <${Object.keys(editions).join('|')}> <quran-simple.txt> [source]`);
+    process.exit(1);
+  }
+
+  try {
+    const script = args[0];
+    console.log(`📖 Building the ${editions[script].name} script edition...`);
+
+    const srcDir = path.join(__dirname, '..', 'src');
+    const quranData = JSON.parse(fs.readFileSync(path.join(srcDir, 'quran-data.json'), 'utf8'));
+    const edition = buildEdition(script, fs.readFileSync(args[1], 'utf8'), quranData, args[2]);
+
+    const outputPath = path.join(srcDir, 'editions', `${script}.json`);
+    fs.writeFileSync(outputPath, JSON.stringify(edition));
+
+    console.log(`✅ Saved ${script} edition to ${outputPath}`);
+    console.log(`📊 Tokens: ${edition.tokenCount}`);
+  } catch (error) {
+    console.error('❌ Error building script edition:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildEdition, alignWords };
@@ -0,0 +1,78 @@
+#!/usr/bin/env node
+
+/**
+ * Build the inverted search index for the Arabic text
+ * Maps every distinct token to its postings ("chapter:verse:token")
+ * Usage: node build-search-index.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+// Must split verses exactly like QuranTokenizer.tokenize() in src/index.js: marks and
+// signs standing on their own join the word before them (or after, at the verse start)
+function tokenize(text) {
+  const tokens = [];
+  let pending = null;
+  for (const piece of text.split(/\s+/).filter(t => t.length > 0)) {
+    if (/\p{L}/u.test(piece)) {
+      tokens.push(pending === null ? piece : `${pending} ${piece}`);
+      pending = null;
+    } else if (tokens.length > 0) {
+      tokens[tokens.length - 1] += ` ${piece}`;
+    } else {
+      pending = pending === null ? piece : `${pending} ${piece}`;
+    }
+  }
+  return tokens;
+}
+
+function buildSearchIndex(quranData) {
+  const tokens = {};
+  let tokenCount = 0;
+
+  for (const chapter of quranData.chapters) {
+    for (const verse of chapter.verses) {
+      tokenize(verse.text).forEach((token, index) => {
+        if (!tokens[token]) {
+          tokens[token] = [];
+        }
+        tokens[token].push(`${chapter.number}:${verse.number}:${index + 1}`);
+        tokenCount++;
+      });
+    }
+  }
+
+  return {
+    source: 'quran-data.json',
+    tokenCount,
+    distinctTokenCount: Object.keys(tokens).length,
+    tokens
+  };
+}
+
+function main() {
+  try {
+    console.log('📖 Building search index...');
+
+    const srcDir = path.join(__dirname, '..', 'src');
+    const quranData = JSON.parse(fs.readFileSync(path.join(srcDir, 'quran-data.json'), 'utf8'));
+    const index = buildSearchIndex(quranData);
+
+    const outputPath = path.join(srcDir, 'search-index.json');
+    fs.writeFileSync(outputPath, JSON.stringify(index));
+
+    console.log(`✅ Saved search index to ${outputPath}`);
+    console.log(`📊 Tokens: ${index.tokenCount}`);
+    console.log(`📊 Distinct tokens: ${index.distinctTokenCount}`);
+  } catch (error) {
+    console.error('❌ Error building search index:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildSearchIndex, tokenize };
@@ -0,0 +1,57 @@
+#!/usr/bin/env node
+
+/**
+ * Build the type-ahead tables for /api/suggest, src/suggest-index.json: one table per
+ * translation and one per Arabic normalization profile, so no request has to build them
+ * The tables are built by the Worker's own SuggestIndex, loaded with load-worker.js
+ * Usage: node build-suggest-index.js
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { loadWorker } = require('./load-worker');
+
+function buildSuggestIndex(SuggestIndex, ArabicTextUtils, translations) {
+  const tables = {};
+  let entryCount = 0;
+
+  for (const source of SuggestIndex.getSources()) {
+    const profiles = source === 'arabic' ? ArabicTextUtils.getProfiles() : [null];
+    for (const profile of profiles) {
+      const entries = source === 'arabic' ? SuggestIndex.buildArabic(profile) : SuggestIndex.buildTranslation(translations[source]);
+      tables[SuggestIndex.getTableName(source, profile)] = SuggestIndex.encode(entries);
+      entryCount += entries.length;
+    }
+  }
+
+  return {
+    source: 'search-index.json and translations/',
+    entryCount,
+    tables
+  };
+}
+
+function main() {
+  try {
+    console.log('📖 Building suggestion tables...');
+
+    const { SuggestIndex, ArabicTextUtils, translations } = loadWorker(['SuggestIndex', 'ArabicTextUtils', 'translations']);
+    const index = buildSuggestIndex(SuggestIndex, ArabicTextUtils, translations);
+
+    const outputPath = path.join(__dirname, '..', 'src', 'suggest-index.json');
+    fs.writeFileSync(outputPath, JSON.stringify(index));
+
+    console.log(`✅ Saved suggestion tables to ${outputPath}`);
+    console.log(`📊 Tables: ${Object.keys(index.tables).join(', ')}`);
+    console.log(`📊 Entries: ${index.entryCount}`);
+  } catch (error) {
+    console.error('❌ Error building suggestion tables:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { buildSuggestIndex };
@@ -0,0 +1,54 @@
+#!/usr/bin/env node
+
+/**
+ * Write the Simple text bundled in the islam.js package as Tanzil "sura|aya|text" lines, for
+ * building the script editions and pause marks where tanzil.net cannot be reached
+ * Source: islam.js on npm (lib/assets/HafsHolyQuran.js: Tanzil's Simple text with pause marks, MIT)
+ * Usage: npm install --no-save islam.js@1.1.0
+ *        node export-simple-text.js <simple|simple-clean> <output.txt>
+ */
+
+const fs = require('fs');
+
+// Simple-Clean is Simple without diacritics, pause marks and the rub el hizb and sajdah signs
+function toClean(text) {
+  return text.replace(/[ً-ٰٟۖ-ۭ]/g, '').replace(/\s+/g, ' ').trim();
+}
+
+function exportText(script, surahs) {
+  const lines = [];
+  for (const surah of surahs) {
+    surah.verses.forEach((text, index) => {
+      lines.push(`${surah.number}|${index + 1}|${script === 'simple-clean' ? toClean(text) : text}`);
+    });
+  }
+  return lines.join('\n') + '\n';
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.length < 2 || !['simple', 'simple-clean'].includes(args[0])) {
+    console.log('Usage: node export-simple-text.js <simple|simple-clean> <output.txt>');
+    process.exit(1);
+  }
+
+  try {
+    console.log(`📖 Exporting the ${args[0]} text from islam.js...`);
+
+    const { HafsHolyQuran } = require('islam.js/lib/assets/HafsHolyQuran');
+    const text = exportText(args[0], HafsHolyQuran);
+    fs.writeFileSync(args[1], text);
+
+    console.log(`✅ Saved ${args[0]} text to ${args[1]}`);
+    console.log(`📊 Verses: ${text.trim().split('\n').length}`);
+  } catch (error) {
+    console.error('❌ Error exporting text (is islam.js installed?):', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { exportText, toClean };
@@ -0,0 +1,35 @@
+/**
+ * Load src/index.js in Node, bundled with esbuild, so build scripts and tests run the
+ * Worker's own code instead of a copy of it. The named classes are exported alongside
+ * the Worker's default export
+ * Usage: const { default: worker, SuggestIndex } = loadWorker(['SuggestIndex']);
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+function loadWorker(names = []) {
+  const esbuild = require('esbuild');
+  const srcDir = path.join(__dirname, '..', 'src');
+  const source = fs.readFileSync(path.join(srcDir, 'index.js'), 'utf8');
+
+  const result = esbuild.buildSync({
+    stdin: {
+      contents: `${source}\nexport { ${names.join(', ')} };\n`,
+      resolveDir: srcDir,
+      sourcefile: 'index.js',
+      loader: 'js'
+    },
+    bundle: true,
+    format: 'cjs',
+    platform: 'node',
+    write: false,
+    logLevel: 'error'
+  });
+
+  const module = { exports: {} };
+  new Function('module', 'exports', 'require', result.outputFiles[0].text)(module, module.exports, require);
+  return module.exports;
+}
+
+module.exports = { loadWorker };
@@ -0,0 +1,100 @@
+#!/usr/bin/env node
+
+/**
+ * Parse Tanzil's quran-data.js metadata into src/quran-metadata.json
+ * Source: https://tanzil.net/res/text/metadata/quran-data.js
+ * Usage: node parse-quran-metadata.js <quran-data.js>
+ */
+
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+
+// Tanzil lists start with an empty entry and may end with a [115, 1] sentinel
+function parseBoundaries(list) {
+  return list
+    .filter(entry => entry.length >= 2 && entry[0] <= 114)
+    .map(([chapter, verse]) => [chapter, verse]);
+}
+
+// Sura entries are [start, ayas, order, rukus, name, tname, ename, type]
+function parseChapters(list) {
+  return list
+    .filter(entry => entry.length === 8)
+    .map(([start, ayas, order, rukus, name, tname, ename, type], index) => ({
+      number: index + 1,
+      transliteratedName: tname,
+      englishName: ename,
+      revelationType: type,
+      revelationOrder: order,
+      rukuCount: rukus
+    }));
+}
+
+function parseQuranMetadata(source) {
+  const sandbox = {};
+  vm.runInNewContext(`${source}\nthis.QuranData = QuranData;`, sandbox);
+  const data = sandbox.QuranData;
+
+  if (!data || !data.Sura || !data.Juz || !data.HizbQaurter || !data.Page || !data.Manzil || !data.Ruku || !data.Sajda) {
+    throw new Error('Input does not look like Tanzil quran-data.js');
+  }
+
+  const metadata = {
+    source: 'Tanzil.net quran-data.js',
+    sourceUrl: 'https://tanzil.net/docs/quran_metadata',
+    chapters: parseChapters(data.Sura),
+    juz: parseBoundaries(data.Juz),
+    hizbQuarters: parseBoundaries(data.HizbQaurter),
+    pages: parseBoundaries(data.Page),
+    manzils: parseBoundaries(data.Manzil),
+    rukus: parseBoundaries(data.Ruku),
+    sajdas: data.Sajda
+      .filter(entry => entry.length === 3)
+      .map(([chapter, verse, type]) => [chapter, verse, type])
+  };
+
+  if (metadata.chapters.length !== 114 || metadata.juz.length !== 30 || metadata.hizbQuarters.length !== 240 || metadata.pages.length !== 604 ||
+      metadata.manzils.length !== 7 || metadata.rukus.length !== 556 || metadata.sajdas.length !== 15) {
+    throw new Error(`Unexpected counts: ${metadata.chapters.length} chapters, ${metadata.juz.length} juz, ${metadata.hizbQuarters.length} hizb quarters, ` +
+      `${metadata.pages.length} pages, ${metadata.manzils.length} manzils, ${metadata.rukus.length} rukus, ${metadata.sajdas.length} sajdas`);
+  }
+
+  return metadata;
+}
+
+function main() {
+  const args = process.argv.slice(2);
+  if (args.length < 1) {
+    console.log('Usage: node parse-quran-metadata.js <quran-data.js>');
+    process.exit(1);
+  }
+
+  try {
+    console.log('📖 Parsing Tanzil metadata...');
+
+    const source = fs.readFileSync(args[0], 'utf8');
+    const metadata = parseQuranMetadata(source);
+
+    const outputPath = path.join(__dirname, '..', 'src', 'quran-metadata.json');
+    fs.writeFileSync(outputPath, JSON.stringify(metadata, null, 2));
+
+    console.log(`✅ Saved metadata to ${outputPath}`);
+    console.log(`📊 Chapters: ${metadata.chapters.length}`);
+    console.log(`📊 Juz: ${metadata.juz.length}`);
+    console.log(`📊 Hizb quarters: ${metadata.hizbQuarters.length}`);
+    console.log(`📊 Pages: ${metadata.pages.length}`);
+    console.log(`📊 Manzils: ${metadata.manzils.length}`);
+    console.log(`📊 Rukus: ${metadata.rukus.length}`);
+    console.log(`📊 Sajdas: ${metadata.sajdas.length}`);
+  } catch (error) {
+    console.error('❌ Error parsing metadata:', error);
+    process.exit(1);
+  }
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { parseQuranMetadata };
@@ -0,0 +1,71 @@
+#!/usr/bin/env node
+
+/**
+ * Check API responses against a running worker
+ * Usage: node test-api.js [base-url]   (default http://localhost:8787, as started by `wrangler dev`)
+ */
+
+// Requests and the status each must answer with
+const checks = [
+  {
+    description: 'regex search runs a single-quantifier pattern',
+    path: '/api/search',
+    params: { type: 'regex', q: '^وال.*ين$', normalize: 'standard', limit: 1 },
+    status: 200
+  },
+  {
+    description: 'regex search rejects more than one unbounded quantifier',
+    path: '/api/search',
+    params: { type: 'regex', q: '.*.*.*.*.*.*Z' },
+    status: 400
+  },
+  {
+    description: 'regex search rejects a repeated group with a quantifier inside nested groups',
+    path: '/api/search',
+    params: { type: 'regex', q: '^((.+))+Z$' },
+    status: 400
+  }
+];
+
+async function runCheck(baseUrl, check) {
+  const url = new URL(check.path, baseUrl);
+  // Encoded here so that + and other pattern characters reach the worker intact
+  url.search = new URLSearchParams(check.params).toString();
+  const started = Date.now();
+  const response = await fetch(url);
+  await response.text();
+  return { status: response.status, elapsed: Date.now() - started };
+}
+
+async function main() {
+  const baseUrl = process.argv[2] || 'http://localhost:8787';
+  console.log(`🧪 Checking ${checks.length} requests against ${baseUrl}...`);
+
+  let failures = 0;
+  for (const check of checks) {
+    try {
+      const { status, elapsed } = await runCheck(baseUrl, check);
+      if (status === check.status) {
+        console.log(`✅ ${check.description} (${status}, ${elapsed}ms)`);
+      } else {
+        failures++;
+        console.log(`❌ ${check.description}: expected ${check.status}, got ${status} (${elapsed}ms)`);
+      }
+    } catch (error) {
+      failures++;
+      console.log(`❌ ${check.description}: ${error.message}`);
+    }
+  }
+
+  if (failures > 0) {
+    console.error(`❌ ${failures} of ${checks.length} checks failed`);
+    process.exit(1);
+  }
+  console.log(`✅ All ${checks.length} checks passed`);
+}
+
+if (require.main === module) {
+  main();
+}
+
+module.exports = { checks };
@@ -1,5 +1,11 @@
 // JQuranTree API for Cloudflare Workers
 import quranData from './quran-data.json';
+import quranMetadata from './quran-metadata.json';
+import searchIndex from './search-index.json';
+import suggestIndex from './suggest-index.json';
+import pauseMarks from './pause-marks.json';
+import simpleEdition from './editions/simple.json';
+import simpleCleanEdition from './editions/simple-clean.json';
 import enHilali from './translations/en.hilali.json';
 import msBasmeih from './translations/ms.basmeih.json';
 import zhJian from './translations/zh.jian.json';
@@ -13,29 +19,361 @@ const translations = {
   'ta.tamil': taTamil
 };
 
+// Arabic script editions besides the bundled Uthmani text, built by scripts/build-script-edition.js.
+// Verses are stored as tokens aligned with the Uthmani tokens, so locations agree across scripts
+const scriptEditions = {
+  'simple': simpleEdition,
+  'simple-clean': simpleCleanEdition
+};
+
+const DEFAULT_SCRIPT = 'uthmani';
+
+// The error response body and status for a script parameter that cannot be served, or null
+function getScriptError(script) {
+  if (!Document.getScripts().includes(script)) {
+    return {
+      status: 400,
+      body: { error: `Unsupported script: ${script}`, supportedScripts: Document.getScripts() }
+    };
+  }
+  if (!Document.isScriptAvailable(script)) {
+    return {
+      status: 503,
+      body: {
+        error: `The ${script} script edition has not been built for this deployment`,
+        details: `Run scripts/build-script-edition.js ${script} with the Tanzil quran-${script}.txt file to create src/editions/${script}.json`
+      }
+    };
+  }
+  return null;
+}
+
+// The output transform a request asks for (null for none), or the error response body and
+// status for an invalid transform parameter, with usage showing the route's own form
+function parseTransform(searchParams, usage) {
+  try {
+    return { transform: OutputTransform.fromParams(searchParams), error: null };
+  } catch (error) {
+    if (!(error instanceof TransformError)) {
+      throw error;
+    }
+    return {
+      transform: null,
+      error: { status: 400, body: { error: error.message, parameter: error.parameter, usage } }
+    };
+  }
+}
+
+// The error response body and status while waqf signs cannot be served, or null
+function getPauseMarksError() {
+  if (!Document.hasPauseMarks()) {
+    return {
+      status: 503,
+      body: {
+        error: 'Waqf signs have not been built for this deployment',
+        details: 'Run scripts/build-pause-marks.js with the Tanzil Simple text, downloaded with pause marks included, to create src/pause-marks.json'
+      }
+    };
+  }
+  return null;
+}
+
+// Look up a verse in a translation, or null when it is missing
+function getTranslatedVerse(translation, chapterNumber, verseNumber) {
+  const chapter = translation.chapters.find(ch => ch.number === chapterNumber);
+  return chapter ? chapter.verses.find(v => v.number === verseNumber) || null : null;
+}
+
+// The basmala in a translation is its translation of 1:1, or null when that is missing
+function getTranslatedBismillah(translation) {
+  const verse = getTranslatedVerse(translation, 1, 1);
+  return verse ? verse.text : null;
+}
+
+// How chapter routes return the basmala that opens every chapter but 1 (where it is
+// verse 1) and 9: as a separate field, prepended to the text of verse 1, or not at all
+const BISMILLAH_MODES = ['separate', 'prepend', 'omit'];
+
+// Levenshtein distance between two strings
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+// Quran divisions and Madani mushaf pages, each listed as the [chapter, verse] where every part starts
+const divisions = {
+  juz: quranMetadata.juz,
+  hizb: quranMetadata.hizbQuarters.filter((_, index) => index % 4 === 0),
+  rub: quranMetadata.hizbQuarters,
+  page: quranMetadata.pages,
+  manzil: quranMetadata.manzils,
+  ruku: quranMetadata.rukus
+};
+
 // Unicode normalization utilities for Arabic text
 class ArabicTextUtils {
+  // Normalization profiles, from least to most folding:
+  // light strips diacritics, tatweel and Quranic annotation marks,
+  // standard also folds alif forms and teh marbuta,
+  // aggressive also folds hamza carriers, alif maqsura and small waw/ya
+  static getProfiles() {
+    return ['none', 'light', 'standard', 'aggressive'];
+  }
+  
+  // Maps a normalize query parameter to a profile; true/false are kept for older clients
+  static parseProfile(value) {
+    if (value === null || value === '' || value === 'false') {
+      return 'none';
+    }
+    if (value === 'true') {
+      return 'standard';
+    }
+    return this.getProfiles().includes(value) ? value : null;
+  }
+  
   // Normalize Arabic text for better searching
-  static normalize(text) {
+  static normalize(text, profile = 'standard') {
+    if (profile === 'none') {
+      return text;
+    }
+    
+    if (profile === 'aggressive') {
+      text = text
+        // Small waw/ya after a pronoun's heh only lengthen its vowel (بِهِۦ); elsewhere they stand for a letter (ٱلنَّبِيِّۦنَ)
+        .replace(/ه([\u064B-\u065F\u0670]*)[\u06E5\u06E6]/g, 'ه$1')
+        .replace(/\u06E5/g, 'و')
+        .replace(/\u06E6/g, 'ي')
+        // Fold hamza carriers and alif maqsura
+        .replace(/ؤ/g, 'و')
+        .replace(/ئ/g, 'ي')
+        .replace(/ء/g, '')
+        .replace(/ى/g, 'ي');
+    }
+    
+    if (profile !== 'light') {
+      text = text
+        // Normalize different forms of Alif
+        .replace(/[آأإٱ]/g, 'ا')
+        // Normalize Teh Marbuta
+        .replace(/ة/g, 'ه');
+    }
+    
     return text
-      // Normalize different forms of Alif
-      .replace(/[آأإٱ]/g, 'ا')
-      // Normalize Teh Marbuta
-      .replace(/ة/g, 'ه')
-      // Remove diacritics for basic search
-      .replace(/[\u064B-\u065F\u0670\u0671]/g, '')
+      // Remove diacritics, superscript alif and tatweel
+      .replace(/[\u064B-\u065F\u0670\u0640]/g, '')
+      // Remove Quranic annotation marks (pause signs, small letters, rounded zeros)
+      .replace(/[\u06D6-\u06ED]/g, '')
       // Normalize spaces
       .replace(/\s+/g, ' ')
       .trim()
       .toLowerCase();
   }
   
+  // normalize() that also records where each character of the result came from:
+  // offsets[i] is the index in text of normalized character i, and offsets has one
+  // more entry, text.length, for the end of the text
+  static normalizeWithOffsets(text, profile = 'standard') {
+    if (profile === 'none') {
+      return { text, offsets: Array.from({ length: text.length + 1 }, (value, index) => index) };
+    }
+    
+    const chars = [];
+    const offsets = [];
+    let afterHeh = false;
+    for (let i = 0; i < text.length; i++) {
+      let ch = text[i];
+      if (profile === 'aggressive') {
+        if ((ch === '\u06E5' || ch === '\u06E6') && afterHeh) {
+          afterHeh = false;
+          continue;
+        }
+        afterHeh = ch === 'ه' || (afterHeh && /[\u064B-\u065F\u0670]/.test(ch));
+        if (ch === 'ء') {
+          continue;
+        }
+        ch = { '\u06E5': 'و', '\u06E6': 'ي', 'ؤ': 'و', 'ئ': 'ي', 'ى': 'ي' }[ch] || ch;
+      }
+      if (profile !== 'light') {
+        ch = /[آأإٱ]/.test(ch) ? 'ا' : ch === 'ة' ? 'ه' : ch;
+      }
+      if (/[\u064B-\u065F\u0670\u0640\u06D6-\u06ED]/.test(ch)) {
+        continue;
+      }
+      if (/\s/.test(ch)) {
+        if (chars.length === 0 || chars[chars.length - 1] === ' ') {
+          continue;
+        }
+        ch = ' ';
+      }
+      chars.push(ch);
+      offsets.push(i);
+    }
+    if (chars[chars.length - 1] === ' ') {
+      chars.pop();
+      offsets.pop();
+    }
+    
+    // Lower-casing can lengthen a character (İ), in which case its parts share an offset
+    let normalized = chars.join('').toLowerCase();
+    if (normalized.length !== chars.length) {
+      const expanded = [];
+      normalized = chars.map((c, index) => {
+        const lower = c.toLowerCase();
+        for (let j = 0; j < lower.length; j++) {
+          expanded.push(offsets[index]);
+        }
+        return lower;
+      }).join('');
+      offsets.length = 0;
+      offsets.push(...expanded);
+    }
+    offsets.push(text.length);
+    return { text: normalized, offsets };
+  }
+  
+  // Index of the first character of a normalizeWithOffsets() result that came from
+  // offset or later in the original text
+  static findOffset(offsets, offset) {
+    let low = 0;
+    let high = offsets.length - 1;
+    while (low < high) {
+      const middle = (low + high) >> 1;
+      if (offsets[middle] < offset) {
+        low = middle + 1;
+      } else {
+        high = middle;
+      }
+    }
+    return low;
+  }
+  
+  // Maps start..end in a normalizeWithOffsets() result back to text. The end takes
+  // along the diacritics and marks normalization removed after the last letter
+  static toOriginalSpan(text, normalized, start, end) {
+    let originalEnd = normalized.offsets[end - 1] + 1;
+    while (originalEnd < normalized.offsets[end] && !/\s/.test(text[originalEnd])) {
+      originalEnd++;
+    }
+    return { start: normalized.offsets[start], end: originalEnd };
+  }
+  
+  // Rewrites Uthmani spellings the way modern imla'i orthography writes them:
+  // waw with superscript alif as alif (ٱلصَّلَوٰةَ → الصلاة), other superscript
+  // alifs as full alifs (ٱلْكِتَٰبُ → الكتاب) except on alif maqsura (عَلَىٰ → على),
+  // and small high yeh as yeh (إِبْرَٰهِـۧمَ → إبراهيم)
+  static toImlai(text) {
+    return text
+      .replace(/و([\u064B-\u065F]*)\u0670/g, 'ا$1')
+      .replace(/ى([\u064B-\u065F]*)\u0670/g, 'ى$1')
+      .replace(/\u0670/g, 'ا')
+      .replace(/\u06E7/g, 'ي');
+  }
+  
   // Remove all diacritics
   static removeDiacritics(text) {
     return text.replace(/[\u064B-\u065F\u0670]/g, '');
   }
 }
 
+// Waqf (pause) signs written after a word, by name. U+06DC also marks a sad read as
+// sin inside a word, so it only counts as a saktah at the end of one
+const PAUSE_MARKS = {
+  'ۖ': 'sala',
+  'ۗ': 'qala',
+  'ۘ': 'lazim',
+  'ۙ': 'la',
+  'ۚ': 'jaiz',
+  'ۛ': 'muanaqah',
+  'ۜ': 'saktah'
+};
+
+// What each waqf sign asks of the reciter
+const PAUSE_DESCRIPTIONS = {
+  sala: 'Continuing is preferred, though pausing is permitted',
+  qala: 'Pausing is preferred, though continuing is permitted',
+  lazim: 'Pausing is required',
+  la: 'Do not pause here',
+  jaiz: 'Pausing and continuing are equally permitted',
+  muanaqah: 'Pause at one of a pair of these signs, not both',
+  saktah: 'A brief pause without taking a breath'
+};
+
+// End of ayah, rub el hizb and sajdah signs annotate the text rather than spell a word
+const ANNOTATION_SIGNS = /[۝۞۩]/g;
+
+// Splits verse text into words. Marks and signs standing on their own belong to the word
+// before them (at the start of a verse, the word after), so they never count as tokens
+class QuranTokenizer {
+  static tokenize(text) {
+    if (!this.cache) {
+      this.cache = new Map();
+    }
+    if (this.cache.has(text)) {
+      return this.cache.get(text);
+    }
+    
+    const spans = [];
+    let pendingStart = null;
+    for (const piece of text.matchAll(/\S+/g)) {
+      const start = piece.index;
+      const end = start + piece[0].length;
+      if (/\p{L}/u.test(piece[0])) {
+        spans.push({ start: pendingStart === null ? start : pendingStart, end });
+        pendingStart = null;
+      } else if (spans.length > 0) {
+        spans[spans.length - 1].end = end;
+      } else if (pendingStart === null) {
+        pendingStart = start;
+      }
+    }
+    
+    const tokens = spans.map(span => this.analyze(text.slice(span.start, span.end), span.start, span.end));
+    this.cache.set(text, tokens);
+    return tokens;
+  }
+  
+  // The clean word of a surface form, with its pause mark and annotation signs apart
+  static analyze(surface, start, end) {
+    const trailingMarks = /[ۖ-ۜ](?=[^\p{L}]*$)/gu;
+    const pauseMarks = surface.match(trailingMarks) || [];
+    const pauseMark = pauseMarks.length > 0 ? pauseMarks[pauseMarks.length - 1] : null;
+    return {
+      text: surface,
+      word: surface.replace(trailingMarks, '').replace(ANNOTATION_SIGNS, '').replace(/\s+/g, ' ').trim(),
+      pause: pauseMark ? PAUSE_MARKS[pauseMark] : null,
+      pauseMark,
+      signs: surface.match(ANNOTATION_SIGNS) || [],
+      start,
+      end
+    };
+  }
+  
+  // Tokens given as words, joined by single spaces, as script editions store them
+  static fromWords(words) {
+    let start = 0;
+    return words.map(word => {
+      const token = this.analyze(word, start, start + word.length);
+      start += word.length + 1;
+      return token;
+    });
+  }
+  
+  static count(text) {
+    return this.tokenize(text).length;
+  }
+}
+
 // Core classes converted from Java
 class Document {
   static getName() {
@@ -53,37 +391,217 @@ class Document {
   static getTokenCount() {
     return quranData.chapters.reduce((total, chapter) => {
       return total + chapter.verses.reduce((verseTotal, verse) => {
-        return verseTotal + verse.text.split(/\s+/).filter(t => t.length > 0).length;
+        return verseTotal + QuranTokenizer.count(verse.text);
       }, 0);
     }, 0);
   }
   
-  static getChapter(chapterNumber) {
-    const chapter = quranData.chapters.find(ch => ch.number === chapterNumber);
+  static getChapter(chapterNumber, script = DEFAULT_SCRIPT) {
+    const chapter = this.getEdition(script).chapters.find(ch => ch.number === chapterNumber);
     return chapter ? new Chapter(chapter) : null;
   }
   
-  static getVerse(chapterNumber, verseNumber) {
-    const chapter = this.getChapter(chapterNumber);
+  static getVerse(chapterNumber, verseNumber, script = DEFAULT_SCRIPT) {
+    const chapter = this.getChapter(chapterNumber, script);
     return chapter ? chapter.getVerse(verseNumber) : null;
   }
   
+  static getScripts() {
+    return [DEFAULT_SCRIPT, ...Object.keys(scriptEditions)];
+  }
+  
+  static isScriptAvailable(script) {
+    return script === DEFAULT_SCRIPT || (scriptEditions[script] !== undefined && scriptEditions[script].tokenCount > 0);
+  }
+  
+  static getScriptSource(script) {
+    return script === DEFAULT_SCRIPT ? 'Tanzil.net Uthmani' : scriptEditions[script].source;
+  }
+  
+  // The Quran data in a script edition, with each verse's text joined from its tokens
+  static getEdition(script) {
+    if (script === DEFAULT_SCRIPT) {
+      return quranData;
+    }
+    if (!this.editions) {
+      this.editions = new Map();
+    }
+    if (!this.editions.has(script)) {
+      this.editions.set(script, {
+        name: quranData.name,
+        chapters: scriptEditions[script].chapters.map(chapter => ({
+          number: chapter.number,
+          name: quranData.chapters[chapter.number - 1].name,
+          verses: chapter.verses.map(verse => {
+            const data = { number: verse.number, text: verse.tokens.join(' '), tokens: verse.tokens };
+            if (verse.bismillah) {
+              data.bismillah = verse.bismillah;
+            }
+            return data;
+          })
+        }))
+      });
+    }
+    return this.editions.get(script);
+  }
+  
   static getAllChapters() {
     return quranData.chapters.map(ch => new Chapter(ch));
   }
   
+  // Flat list of every verse in mushaf order, built once
+  static getVerseList() {
+    if (!this.verseList) {
+      this.verseList = [];
+      for (const chapter of quranData.chapters) {
+        for (const verse of chapter.verses) {
+          this.verseList.push({ chapterNumber: chapter.number, data: verse });
+        }
+      }
+    }
+    return this.verseList;
+  }
+  
+  static getVerseIndex(chapterNumber, verseNumber) {
+    if (!this.chapterOffsets) {
+      let offset = 0;
+      this.chapterOffsets = quranData.chapters.map(ch => {
+        const start = offset;
+        offset += ch.verses.length;
+        return start;
+      });
+    }
+    return this.chapterOffsets[chapterNumber - 1] + verseNumber - 1;
+  }
+  
+  static getVerseByIndex(index) {
+    const entry = this.getVerseList()[index];
+    return entry ? new Verse(entry.data, entry.chapterNumber) : null;
+  }
+  
+  // Start index of every part of a division type ('juz', 'hizb', 'rub', 'page', 'manzil' or 'ruku')
+  static getDivisionStarts(type) {
+    if (!divisions[type]) {
+      return null;
+    }
+    if (!this.divisionStarts) {
+      this.divisionStarts = {};
+    }
+    if (!this.divisionStarts[type]) {
+      this.divisionStarts[type] = divisions[type].map(([chapter, verse]) => this.getVerseIndex(chapter, verse));
+    }
+    return this.divisionStarts[type];
+  }
+  
+  static getDivision(type, number) {
+    const starts = this.getDivisionStarts(type);
+    if (!starts || number < 1 || number > starts.length) {
+      return null;
+    }
+    const endIndex = number < starts.length ? starts[number] - 1 : this.getVerseList().length - 1;
+    return new Division(type, number, starts[number - 1], endIndex);
+  }
+  
+  static getDivisionNumber(type, chapterNumber, verseNumber) {
+    const starts = this.getDivisionStarts(type);
+    const index = this.getVerseIndex(chapterNumber, verseNumber);
+    let low = 0;
+    let high = starts.length - 1;
+    while (low < high) {
+      const mid = Math.ceil((low + high) / 2);
+      if (starts[mid] <= index) {
+        low = mid;
+      } else {
+        high = mid - 1;
+      }
+    }
+    return low + 1;
+  }
+  
+  static getJuz(number) {
+    return this.getDivision('juz', number);
+  }
+  
+  static getHizb(number) {
+    return this.getDivision('hizb', number);
+  }
+  
+  static getRub(number) {
+    return this.getDivision('rub', number);
+  }
+  
+  static getPage(number) {
+    return this.getDivision('page', number);
+  }
+  
+  static getManzil(number) {
+    return this.getDivision('manzil', number);
+  }
+  
+  static getRuku(number) {
+    return this.getDivision('ruku', number);
+  }
+  
+  // Prostration verses in mushaf order, numbered 1-15
+  static getSajdas() {
+    return quranMetadata.sajdas.map(([chapter, verse, type], index) => ({
+      number: index + 1,
+      type,
+      verse: this.getVerse(chapter, verse)
+    }));
+  }
+  
+  static getSajda(chapterNumber, verseNumber) {
+    if (!this.sajdaIndex) {
+      this.sajdaIndex = new Map();
+      quranMetadata.sajdas.forEach(([chapter, verse, type], index) => {
+        this.sajdaIndex.set(`${chapter}:${verse}`, { number: index + 1, type });
+      });
+    }
+    return this.sajdaIndex.get(`${chapterNumber}:${verseNumber}`) || null;
+  }
+  
+  // The bundled text has no waqf signs; they come from src/pause-marks.json, by token location,
+  // built from Tanzil's Simple text with pause marks
+  static hasPauseMarks() {
+    return pauseMarks.markCount > 0;
+  }
+  
+  static getPauseMark(location) {
+    return pauseMarks.marks[location] || null;
+  }
+  
+  static getPauseTypes() {
+    return Object.entries(PAUSE_MARKS).map(([mark, type]) => ({ type, mark, description: PAUSE_DESCRIPTIONS[type] }));
+  }
+  
+  // Tokens followed by a waqf sign in mushaf order, built once
+  static getPauses() {
+    if (!this.pauses) {
+      this.pauses = [];
+      this.getVerseList().forEach((entry, index) => {
+        this.pauses.push(...this.getVerseByIndex(index).getTokens().filter(token => token.getPause()));
+      });
+    }
+    return this.pauses;
+  }
+  
   static searchText(query, options = {}) {
     const results = [];
-    const normalizedQuery = options.normalize ? ArabicTextUtils.normalize(query) : query;
+    const normalizedQuery = options.normalize ? ArabicTextUtils.normalize(query, options.normalize) : query;
     const exactMatch = options.exact || false;
     const caseSensitive = options.caseSensitive || false;
     
     for (const chapter of quranData.chapters) {
       for (const verse of chapter.verses) {
+        if (options.scope && !options.scope.includes(chapter.number, verse.number)) {
+          continue;
+        }
+        
         let searchText = verse.text;
         
         if (options.normalize) {
-          searchText = ArabicTextUtils.normalize(searchText);
+          searchText = ArabicTextUtils.normalize(searchText, options.normalize);
         }
         
         if (!caseSensitive) {
@@ -118,6 +636,7 @@ class Document {
 class Chapter {
   constructor(data) {
     this.data = data;
+    this.metadata = quranMetadata.chapters[data.number - 1];
   }
   
   getNumber() {
@@ -128,6 +647,27 @@ class Chapter {
     return this.data.name;
   }
   
+  getTransliteratedName() {
+    return this.metadata.transliteratedName;
+  }
+  
+  getEnglishName() {
+    return this.metadata.englishName;
+  }
+  
+  // 'Meccan' or 'Medinan'
+  getRevelationType() {
+    return this.metadata.revelationType;
+  }
+  
+  getRevelationOrder() {
+    return this.metadata.revelationOrder;
+  }
+  
+  getRukuCount() {
+    return this.metadata.rukuCount;
+  }
+  
   getVerseCount() {
     return this.data.verses.length;
   }
@@ -147,9 +687,15 @@ class Chapter {
   }
   
   getTokenCount() {
-    return this.data.verses.reduce((total, verse) => {
-      return total + verse.text.split(/\s+/).filter(t => t.length > 0).length;
-    }, 0);
+    return this.getAllVerses().reduce((total, verse) => total + verse.getTokenCount(), 0);
+  }
+  
+  getStartPage() {
+    return Document.getDivisionNumber('page', this.data.number, 1);
+  }
+  
+  getEndPage() {
+    return Document.getDivisionNumber('page', this.data.number, this.data.verses.length);
   }
 }
 
@@ -172,7 +718,14 @@ class Verse {
   }
   
   getTokens() {
-    return this.data.text.split(/\s+/).filter(t => t.length > 0).map((token, index) => new Token(token, this.chapterNumber, this.data.number, index + 1));
+    // Script editions keep their tokens aligned with the Uthmani ones
+    const tokens = this.data.tokens ? QuranTokenizer.fromWords(this.data.tokens) : QuranTokenizer.tokenize(this.data.text);
+    return tokens.map((token, index) => {
+      // A sign in the text itself wins over the mark index
+      const pauseMark = token.pauseMark || Document.getPauseMark(`${this.chapterNumber}:${this.data.number}:${index + 1}`);
+      const analysis = pauseMark === token.pauseMark ? token : { ...token, pause: PAUSE_MARKS[pauseMark], pauseMark };
+      return new Token(token.text, this.chapterNumber, this.data.number, index + 1, analysis);
+    });
   }
   
   getLocation() {
@@ -180,22 +733,115 @@ class Verse {
   }
   
   getTokenCount() {
-    return this.data.text.split(/\s+/).filter(t => t.length > 0).length;
+    return this.data.tokens ? this.data.tokens.length : QuranTokenizer.count(this.data.text);
+  }
+  
+  // Spans of this verse's text moved onto the same tokens of the verse in another script;
+  // a span within a token covers the whole token there
+  alignSpans(spans, target) {
+    const tokens = this.getTokens();
+    const targetTokens = target.getTokens();
+    return spans.map(span => {
+      const covered = tokens.filter(token => token.getStart() < span.end && token.getEnd() > span.start);
+      if (covered.length === 0) {
+        return null;
+      }
+      return {
+        start: targetTokens[covered[0].getTokenNumber() - 1].getStart(),
+        end: targetTokens[covered[covered.length - 1].getTokenNumber() - 1].getEnd()
+      };
+    }).filter(span => span !== null);
+  }
+  
+  // Recitation segments: runs of tokens that end at a waqf sign or at the end of the verse
+  getSegments() {
+    const segments = [];
+    let tokens = [];
+    for (const token of this.getTokens()) {
+      tokens.push(token);
+      if (token.getPause()) {
+        segments.push(tokens);
+        tokens = [];
+      }
+    }
+    if (tokens.length > 0) {
+      segments.push(tokens);
+    }
+    return segments;
+  }
+  
+  getJuzNumber() {
+    return Document.getDivisionNumber('juz', this.chapterNumber, this.data.number);
+  }
+  
+  getHizbNumber() {
+    return Document.getDivisionNumber('hizb', this.chapterNumber, this.data.number);
+  }
+  
+  getRubNumber() {
+    return Document.getDivisionNumber('rub', this.chapterNumber, this.data.number);
+  }
+  
+  getPageNumber() {
+    return Document.getDivisionNumber('page', this.chapterNumber, this.data.number);
+  }
+  
+  getManzilNumber() {
+    return Document.getDivisionNumber('manzil', this.chapterNumber, this.data.number);
+  }
+  
+  getRukuNumber() {
+    return Document.getDivisionNumber('ruku', this.chapterNumber, this.data.number);
+  }
+  
+  // { number, type } where type is 'recommended' or 'obligatory', or null
+  getSajda() {
+    return Document.getSajda(this.chapterNumber, this.data.number);
   }
 }
 
 class Token {
-  constructor(text, chapterNumber, verseNumber, tokenNumber) {
+  // analysis is the QuranTokenizer entry for the token, if any
+  constructor(text, chapterNumber, verseNumber, tokenNumber, analysis = null) {
     this.text = text;
     this.chapterNumber = chapterNumber;
     this.verseNumber = verseNumber;
     this.tokenNumber = tokenNumber;
+    this.analysis = analysis || QuranTokenizer.analyze(text, 0, text.length);
   }
   
+  // The surface form, as written in the verse
   getText() {
     return this.text;
   }
   
+  // The word without its pause mark or annotation signs
+  getWord() {
+    return this.analysis.word;
+  }
+  
+  // Name of the waqf sign after the word, e.g. 'jaiz', or null
+  getPause() {
+    return this.analysis.pause;
+  }
+  
+  getPauseMark() {
+    return this.analysis.pauseMark;
+  }
+  
+  getSigns() {
+    return this.analysis.signs;
+  }
+  
+  // Offsets of the surface form in the verse text
+  getStart() {
+    return this.analysis.start;
+  }
+  
+  getEnd() {
+    return this.analysis.end;
+  }
+  
   getChapterNumber() {
     return this.chapterNumber;
   }
@@ -213,81 +859,2237 @@ class Token {
   }
 }
 
-// Enhanced search functionality
-class TokenSearch {
-  constructor(options = {}) {
-    this.searchTerms = [];
-    this.options = options;
+// A juz, hizb, rub' al-hizb, mushaf page, manzil or ruku', spanning chapter boundaries
+class Division {
+  constructor(type, number, startIndex, endIndex) {
+    this.type = type;
+    this.number = number;
+    this.startIndex = startIndex;
+    this.endIndex = endIndex;
   }
   
-  findSubstring(text) {
-    this.searchTerms.push({ type: 'substring', text });
+  getType() {
+    return this.type;
   }
   
-  findToken(text) {
-    this.searchTerms.push({ type: 'exact', text });
+  getNumber() {
+    return this.number;
   }
   
-  getResults() {
-    const results = [];
-    const seenLocations = new Set();
-    
-    for (const term of this.searchTerms) {
-      const searchResults = Document.searchText(term.text, {
-        exact: term.type === 'exact',
-        normalize: this.options.normalize || false,
-        caseSensitive: this.options.caseSensitive || false
-      });
-      
-      for (const result of searchResults) {
-        const locationKey = result.location;
-        if (!seenLocations.has(locationKey)) {
-          seenLocations.add(locationKey);
-          
-          const verse = Document.getVerse(result.chapterNumber, result.verseNumber);
-          const tokens = verse.getTokens();
-          
-          // Find which token(s) matched
-          const matchingTokens = tokens.filter(token => {
-            const tokenText = this.options.normalize ? 
-              ArabicTextUtils.normalize(token.getText()) : 
-              token.getText();
-            
-            if (term.type === 'exact') {
-              return tokenText === term.text;
-            } else {
-              return tokenText.includes(term.text);
-            }
-          });
-          
-          results.push({
-            chapterNumber: result.chapterNumber,
-            chapterName: result.chapterName,
-            verseNumber: result.verseNumber,
-            verseText: result.verseText,
-            location: result.location,
-            matchingTokens: matchingTokens.map(t => ({
-              number: t.getTokenNumber(),
-              text: t.getText(),
-              location: t.getLocation()
-            }))
-          });
-        }
-      }
+  getVerseCount() {
+    return this.endIndex - this.startIndex + 1;
+  }
+  
+  getStartVerse() {
+    return Document.getVerseByIndex(this.startIndex);
+  }
+  
+  getEndVerse() {
+    return Document.getVerseByIndex(this.endIndex);
+  }
+  
+  getAllVerses() {
+    const verses = [];
+    for (let index = this.startIndex; index <= this.endIndex; index++) {
+      verses.push(Document.getVerseByIndex(index));
     }
-    
-    return results;
+    return verses;
+  }
+  
+  getChapterNumbers() {
+    return [...new Set(this.getAllVerses().map(v => v.getChapterNumber()))];
   }
 }
 
-// Main worker handler
-export default {
-  async fetch(request, env, ctx) {
-    const url = new URL(request.url);
-    const path = url.pathname;
-    
-    // CORS headers
-    const corsHeaders = {
+// Inverted index over the Arabic text, built by scripts/build-search-index.js
+class SearchIndex {
+  static getForms() {
+    if (!this.forms) {
+      this.forms = Object.keys(searchIndex.tokens);
+    }
+    return this.forms;
+  }
+  
+  // Surface forms grouped by their form under a normalization profile, built once per profile
+  static getNormalizedForms(profile) {
+    if (!this.normalizedForms) {
+      this.normalizedForms = new Map();
+    }
+    if (!this.normalizedForms.has(profile)) {
+      const normalizedForms = new Map();
+      for (const form of this.getForms()) {
+        const key = ArabicTextUtils.normalize(form, profile);
+        if (!normalizedForms.has(key)) {
+          normalizedForms.set(key, []);
+        }
+        normalizedForms.get(key).push(form);
+      }
+      this.normalizedForms.set(profile, normalizedForms);
+    }
+    return this.normalizedForms.get(profile);
+  }
+  
+  // Surface forms equal to, or containing, a query that is already normalized if needed;
+  // options.normalize is the profile name, or falsy for none
+  static findForms(query, options = {}) {
+    if (options.normalize) {
+      const normalizedForms = this.getNormalizedForms(options.normalize);
+      if (options.exact) {
+        return normalizedForms.get(query) || [];
+      }
+      const forms = [];
+      for (const [key, surfaceForms] of normalizedForms) {
+        if (key.includes(query)) {
+          forms.push(...surfaceForms);
+        }
+      }
+      return forms;
+    }
+    
+    if (options.exact) {
+      return searchIndex.tokens[query] ? [query] : [];
+    }
+    return this.getForms().filter(form => form.includes(query));
+  }
+  
+  // Normalized keys of every surface form as written and as spelled in imla'i, built once per profile
+  static getSpellingVariants(profile) {
+    if (!this.spellingVariants) {
+      this.spellingVariants = new Map();
+    }
+    if (!this.spellingVariants.has(profile)) {
+      const variants = new Map();
+      for (const form of this.getForms()) {
+        for (const key of new Set([ArabicTextUtils.normalize(form, profile), ArabicTextUtils.normalize(ArabicTextUtils.toImlai(form), profile)])) {
+          if (!variants.has(key)) {
+            variants.set(key, []);
+          }
+          variants.get(key).push(form);
+        }
+      }
+      this.spellingVariants.set(profile, variants);
+    }
+    return this.spellingVariants.get(profile);
+  }
+  
+  // Surface forms within options.maxDistance edits of a normalized query, mapped to their distance
+  static findSimilarForms(query, options = {}) {
+    const distances = new Map();
+    for (const [key, forms] of this.getSpellingVariants(options.normalize)) {
+      if (Math.abs(key.length - query.length) > options.maxDistance) {
+        continue;
+      }
+      const distance = editDistance(query, key);
+      if (distance > options.maxDistance) {
+        continue;
+      }
+      for (const form of forms) {
+        if (!distances.has(form) || distances.get(form) > distance) {
+          distances.set(form, distance);
+        }
+      }
+    }
+    return distances;
+  }
+  
+  // Surface forms whose text (normalized if needed) matches a compiled pattern
+  static matchForms(pattern, options = {}) {
+    const budget = new PatternBudget();
+    if (options.normalize) {
+      const forms = [];
+      for (const [key, surfaceForms] of this.getNormalizedForms(options.normalize)) {
+        if (budget.test(pattern, key)) {
+          forms.push(...surfaceForms);
+        }
+      }
+      return forms;
+    }
+    return this.getForms().filter(form => budget.test(pattern, form));
+  }
+  
+  // Token locations ("chapter:verse:token") of a surface form
+  static getPostings(form) {
+    return searchIndex.tokens[form] || [];
+  }
+}
+
+const DEFAULT_SUGGEST_LIMIT = 10;
+const MAX_SUGGEST_LIMIT = 50;
+const SUGGEST_FORM_LIMIT = 5;
+
+// Type-ahead completions: the distinct words of the Arabic text or of a translation with
+// their occurrence counts, sorted by key so that a prefix is found by binary search.
+// Arabic keys are normalized with a profile; translation keys are folded words
+class SuggestIndex {
+  static getSources() {
+    return ['arabic', ...Object.keys(translations)];
+  }
+  
+  static getTableName(source, profile) {
+    return source === 'arabic' ? `arabic:${profile}` : source;
+  }
+  
+  // Entries {key, count, forms}, read once per source and profile from the tables built by
+  // scripts/build-suggest-index.js, or built here for a source that has no table
+  static get(source, profile) {
+    if (!this.indexes) {
+      this.indexes = new Map();
+    }
+    const tableName = this.getTableName(source, profile);
+    if (!this.indexes.has(tableName)) {
+      const table = suggestIndex.tables[tableName];
+      this.indexes.set(tableName, table !== undefined ? this.decode(table) :
+        source === 'arabic' ? this.buildArabic(profile) : this.buildTranslation(translations[source]));
+    }
+    return this.indexes.get(tableName);
+  }
+  
+  // Tables are stored as one "key\tcount\tform..." line per entry, which costs far less to
+  // load than as JSON arrays. Only the forms a suggestion returns are kept, and a single
+  // form spelled like its key is left out
+  static encode(entries) {
+    return entries.map(entry => {
+      const forms = entry.forms.length === 1 && entry.forms[0] === entry.key ? [] : entry.forms.slice(0, SUGGEST_FORM_LIMIT);
+      return [entry.key, entry.count, ...forms].join('\t');
+    }).join('\n');
+  }
+  
+  static decode(table) {
+    if (!table) {
+      return [];
+    }
+    return table.split('\n').map(line => {
+      const fields = line.split('\t');
+      return { key: fields[0], count: Number(fields[1]), forms: fields.length > 2 ? fields.slice(2) : [fields[0]] };
+    });
+  }
+  
+  // Arabic words are the search index tokens, which Verse.getTokens also produces
+  static buildArabic(profile) {
+    const words = new Map();
+    for (const form of SearchIndex.getForms()) {
+      this.addWord(words, ArabicTextUtils.normalize(form, profile), form, SearchIndex.getPostings(form).length);
+    }
+    return this.toEntries(words);
+  }
+  
+  // Translation words are split the way TextAnalyzer splits them, so Chinese gives bigrams,
+  // but are neither stemmed nor dropped as stop words. Each distinct word is folded once
+  static buildTranslation(translation) {
+    const words = new Map();
+    const keys = new Map();
+    for (const chapter of translation.chapters) {
+      for (const verse of chapter.verses) {
+        for (const match of verse.text.replace(/&[a-z]+;/g, ' ').matchAll(ANALYZER_WORDS)) {
+          if (match[1]) {
+            for (const bigram of TextAnalyzer.getBigrams(match[0])) {
+              this.addWord(words, bigram.text, bigram.text, 1);
+            }
+            continue;
+          }
+          const form = match[0];
+          if (!keys.has(form)) {
+            keys.set(form, TextAnalyzer.fold(form).text);
+          }
+          this.addWord(words, keys.get(form), form, 1);
+        }
+      }
+    }
+    return this.toEntries(words);
+  }
+  
+  static addWord(words, key, form, count) {
+    if (!words.has(key)) {
+      words.set(key, new Map());
+    }
+    const forms = words.get(key);
+    forms.set(form, (forms.get(form) || 0) + count);
+  }
+  
+  // Surface forms are listed most frequent first
+  static toEntries(words) {
+    const entries = [];
+    for (const [key, forms] of words) {
+      let count = 0;
+      for (const formCount of forms.values()) {
+        count += formCount;
+      }
+      entries.push({ key, count, forms: [...forms.keys()].sort((a, b) => forms.get(b) - forms.get(a)) });
+    }
+    return entries.sort((a, b) => a.key < b.key ? -1 : a.key > b.key ? 1 : 0);
+  }
+  
+  // The limit most frequent entries starting with prefix; ties keep key order
+  static suggest(source, prefix, profile, limit) {
+    const entries = this.get(source, profile);
+    let low = 0;
+    let high = entries.length;
+    while (low < high) {
+      const mid = (low + high) >> 1;
+      if (entries[mid].key < prefix) {
+        low = mid + 1;
+      } else {
+        high = mid;
+      }
+    }
+    
+    const top = [];
+    for (let i = low; i < entries.length && entries[i].key.startsWith(prefix); i++) {
+      const entry = entries[i];
+      if (top.length === limit && entry.count <= top[top.length - 1].count) {
+        continue;
+      }
+      let position = top.length;
+      while (position > 0 && top[position - 1].count < entry.count) {
+        position--;
+      }
+      top.splice(position, 0, entry);
+      if (top.length > limit) {
+        top.pop();
+      }
+    }
+    return top;
+  }
+}
+
+
+// Enhanced search functionality
+class TokenSearch {
+  constructor(options = {}) {
+    this.searchTerms = [];
+    this.options = options;
+    this.nearBudget = MAX_NEAR_PAIRS;
+    this.phrases = new Map();
+  }
+  
+  findSubstring(text) {
+    this.searchTerms.push({ type: 'substring', text });
+  }
+  
+  findToken(text) {
+    this.searchTerms.push({ type: 'exact', text });
+  }
+  
+  // A RegExp from PatternMatcher, tested against each token
+  findPattern(pattern) {
+    this.searchTerms.push({ type: 'pattern', pattern });
+  }
+  
+  // A single word matched within maxDistance edits, after normalization and imla'i spelling
+  findFuzzy(text, maxDistance) {
+    this.searchTerms.push({ type: 'fuzzy', text, maxDistance });
+  }
+  
+  // A boolean, phrase or proximity query compiled by QueryParser
+  findQuery(node) {
+    this.searchTerms.push({ type: 'query', node });
+  }
+  
+  getResults() {
+    const results = [];
+    const seenLocations = new Set();
+    
+    for (const term of this.searchTerms) {
+      let termResults;
+      if (term.type === 'query') {
+        termResults = this.evaluateQuery(term.node);
+      } else if (term.type === 'pattern') {
+        termResults = this.lookupIndex(term, null);
+      } else {
+        const query = this.options.normalize ? ArabicTextUtils.normalize(term.text, this.options.normalize) : term.text;
+        termResults = /\s/.test(query) ? this.scanVerses(term, query) : this.lookupIndex(term, query);
+      }
+      
+      for (const result of termResults) {
+        if (!seenLocations.has(result.location)) {
+          seenLocations.add(result.location);
+          results.push(result);
+        }
+      }
+    }
+    
+    return results;
+  }
+  
+  // Where a result matched, as spans in its verseText: the matched part of each matching
+  // token for substring searches, otherwise whole tokens. Spans are found in the normalized
+  // verse and mapped back, so they cover the diacritics of the original text
+  getMatches(result) {
+    const text = result.verseText;
+    const normalized = ArabicTextUtils.normalizeWithOffsets(text, this.options.normalize || 'none');
+    const needles = this.getSubstringNeedles();
+    const find = (start, end) => {
+      const spans = [];
+      for (const needle of needles) {
+        for (let index = normalized.text.indexOf(needle, start); index !== -1 && index + needle.length <= end; index = normalized.text.indexOf(needle, index + needle.length)) {
+          spans.push({ start: index, end: index + needle.length });
+        }
+      }
+      return spans;
+    };
+    
+    let spans;
+    if (result.matchingTokens.length === 0) {
+      // Queries spanning several words match across tokens
+      spans = find(0, normalized.text.length);
+    } else {
+      // Tokens are found in the original text; the normalized characters of a token are
+      // those whose offsets fall inside it
+      const tokens = QuranTokenizer.tokenize(text);
+      spans = [];
+      for (const matchingToken of result.matchingTokens) {
+        const token = tokens[matchingToken.number - 1];
+        const start = ArabicTextUtils.findOffset(normalized.offsets, token.start);
+        const end = ArabicTextUtils.findOffset(normalized.offsets, token.end);
+        const found = find(start, end);
+        spans.push(...(found.length > 0 ? found : [{ start, end }]));
+      }
+    }
+    return Highlighter.toMatches(text, spans.map(span => ArabicTextUtils.toOriginalSpan(text, normalized, span.start, span.end)));
+  }
+  
+  // Matching tokens, or for queries spanning several words, which have no single token, the
+  // matches getMatches would join in the normalized verse. Mapping spans back to the original
+  // text is left to getMatches, which only runs for the results returned
+  countOccurrences(result) {
+    if (result.matchingTokens.length > 0) {
+      return result.matchingTokens.length;
+    }
+    const text = this.options.normalize ? ArabicTextUtils.normalize(result.verseText, this.options.normalize) : result.verseText;
+    const spans = [];
+    for (const needle of this.getSubstringNeedles()) {
+      for (let index = text.indexOf(needle); index !== -1; index = text.indexOf(needle, index + needle.length)) {
+        spans.push({ start: index, end: index + needle.length });
+      }
+    }
+    return Highlighter.mergeSpans(spans).length;
+  }
+  
+  // The normalized text of every substring term, including the words of substring
+  // clauses in a query, but not of clauses under NOT
+  getSubstringNeedles() {
+    const needles = [];
+    const normalize = text => this.options.normalize ? ArabicTextUtils.normalize(text, this.options.normalize) : text;
+    const collect = node => {
+      if (node.type === 'term' || node.type === 'phrase') {
+        if (node.match !== 'exact') {
+          needles.push(...(node.type === 'term' ? [node.text] : node.words).map(normalize));
+        }
+      } else if (node.type === 'near') {
+        collect(node.left);
+        collect(node.right);
+      } else if (node.type !== 'not') {
+        node.children.forEach(collect);
+      }
+    };
+    
+    for (const term of this.searchTerms) {
+      if (term.type === 'substring') {
+        needles.push(normalize(term.text));
+      } else if (term.type === 'query') {
+        collect(term.node);
+      }
+    }
+    return needles.filter(needle => needle.length > 0);
+  }
+  
+  // Single-word queries are answered from the inverted index
+  lookupIndex(term, query) {
+    const hits = [];
+    let forms;
+    let distances = null;
+    if (term.type === 'pattern') {
+      forms = SearchIndex.matchForms(term.pattern, { normalize: this.options.normalize });
+    } else if (term.type === 'fuzzy') {
+      // Without a profile the query is compared as written, so the forms must be too
+      distances = SearchIndex.findSimilarForms(query, { normalize: this.options.normalize || 'none', maxDistance: term.maxDistance });
+      forms = [...distances.keys()];
+    } else {
+      forms = SearchIndex.findForms(query, { exact: term.type === 'exact', normalize: this.options.normalize });
+    }
+    for (const form of forms) {
+      for (const location of SearchIndex.getPostings(form)) {
+        const [chapterNumber, verseNumber, tokenNumber] = location.split(':').map(Number);
+        if (!this.options.scope || this.options.scope.includes(chapterNumber, verseNumber)) {
+          hits.push({ chapterNumber, verseNumber, tokenNumber, text: form, location });
+        }
+      }
+    }
+    hits.sort((a, b) => a.chapterNumber - b.chapterNumber || a.verseNumber - b.verseNumber || a.tokenNumber - b.tokenNumber);
+    
+    const results = [];
+    for (const hit of hits) {
+      let result = results[results.length - 1];
+      if (!result || result.chapterNumber !== hit.chapterNumber || result.verseNumber !== hit.verseNumber) {
+        const chapter = quranData.chapters[hit.chapterNumber - 1];
+        result = {
+          chapterNumber: hit.chapterNumber,
+          chapterName: chapter.name,
+          verseNumber: hit.verseNumber,
+          verseText: chapter.verses[hit.verseNumber - 1].text,
+          location: `${hit.chapterNumber}:${hit.verseNumber}`,
+          matchingTokens: []
+        };
+        results.push(result);
+      }
+      const token = {
+        number: hit.tokenNumber,
+        text: hit.text,
+        location: hit.location
+      };
+      if (distances) {
+        token.distance = distances.get(hit.text);
+        if (result.distance === undefined || token.distance < result.distance) {
+          result.distance = token.distance;
+        }
+      }
+      result.matchingTokens.push(token);
+    }
+    
+    // Closest verses first; sort is stable, so ties stay in Quran order
+    if (distances) {
+      results.sort((a, b) => a.distance - b.distance);
+    }
+    return results;
+  }
+  
+  evaluateQuery(node) {
+    const matches = this.evaluate(node);
+    const scope = this.options.scope;
+    const locations = [...matches.keys()]
+      .map(location => location.split(':').map(Number))
+      .filter(([chapterNumber, verseNumber]) => !scope || scope.includes(chapterNumber, verseNumber));
+    locations.sort((a, b) => a[0] - b[0] || a[1] - b[1]);
+    
+    return locations.map(([chapterNumber, verseNumber]) => {
+      const chapter = quranData.chapters[chapterNumber - 1];
+      const location = `${chapterNumber}:${verseNumber}`;
+      const tokens = new Map();
+      for (const occurrence of matches.get(location)) {
+        for (const token of occurrence.tokens) {
+          if (!tokens.has(token.number)) {
+            tokens.set(token.number, { number: token.number, text: token.text, location: `${location}:${token.number}`, clauses: [] });
+          }
+          const clauses = tokens.get(token.number).clauses;
+          if (!clauses.includes(token.clause)) {
+            clauses.push(token.clause);
+          }
+        }
+      }
+      
+      return {
+        chapterNumber,
+        chapterName: chapter.name,
+        verseNumber,
+        verseText: chapter.verses[verseNumber - 1].text,
+        location,
+        matchingTokens: [...tokens.values()].sort((a, b) => a.number - b.number)
+      };
+    });
+  }
+  
+  // Evaluates a query node to a map of verse location -> occurrences, where an
+  // occurrence spans tokens start..end and lists the tokens that matched
+  evaluate(node) {
+    switch (node.type) {
+      case 'term':
+      case 'phrase': {
+        // A term repeated in the query is looked up once; results are never modified
+        const key = `${node.match}:${node.source}`;
+        if (!this.phrases.has(key)) {
+          this.phrases.set(key, this.evaluatePhrase(node.type === 'term' ? [node.text] : node.words, node.match, node.source));
+        }
+        return this.phrases.get(key);
+      }
+      case 'or': {
+        const result = new Map();
+        const merged = new Set();
+        for (const child of node.children) {
+          const matches = this.evaluate(child);
+          // A clause repeated in the OR adds nothing new
+          if (merged.has(matches)) {
+            continue;
+          }
+          merged.add(matches);
+          for (const [location, occurrences] of matches) {
+            if (!result.has(location)) {
+              result.set(location, []);
+            }
+            const list = result.get(location);
+            for (const occurrence of occurrences) {
+              list.push(occurrence);
+            }
+          }
+        }
+        return result;
+      }
+      case 'and': {
+        const included = node.children.filter(child => child.type !== 'not');
+        const excluded = node.children.filter(child => child.type === 'not');
+        let result = included.length > 0 ? this.evaluate(included[0]) : this.getAllVerses();
+        for (const child of included.slice(1)) {
+          const matches = this.evaluate(child);
+          const next = new Map();
+          for (const [location, occurrences] of result) {
+            if (matches.has(location)) {
+              next.set(location, occurrences.concat(matches.get(location)));
+            }
+          }
+          result = next;
+        }
+        for (const child of excluded) {
+          for (const location of this.evaluate(child.child).keys()) {
+            result.delete(location);
+          }
+        }
+        return result;
+      }
+      case 'not': {
+        const result = this.getAllVerses();
+        for (const location of this.evaluate(node.child).keys()) {
+          result.delete(location);
+        }
+        return result;
+      }
+      case 'near': {
+        const left = this.evaluate(node.left);
+        const right = this.evaluate(node.right);
+        const result = new Map();
+        for (const [location, leftOccurrences] of left) {
+          if (!right.has(location)) {
+            continue;
+          }
+          const occurrences = this.mergeNear(leftOccurrences, right.get(location), node.distance, node.position);
+          if (occurrences.length > 0) {
+            result.set(location, occurrences);
+          }
+        }
+        return result;
+      }
+      default:
+        throw new Error(`Unknown query node: ${node.type}`);
+    }
+  }
+  
+  // Pairs of occurrences at most distance tokens apart. Both sides are sorted by start
+  // and the right side is walked with a window that only moves forward, so occurrences
+  // far from each other are never compared. Pairs covering the same tokens are merged
+  // into one occurrence, since only the span and the tokens matter to the caller
+  mergeNear(left, right, distance, position) {
+    const sortedRight = [...right].sort((a, b) => a.start - b.start);
+    const longest = Math.max(...sortedRight.map(b => b.end - b.start));
+    const spans = new Map();
+    let first = 0;
+    for (const a of [...left].sort((x, y) => x.start - y.start)) {
+      while (first < sortedRight.length && sortedRight[first].start < a.start - distance - longest) {
+        first++;
+      }
+      for (let i = first; i < sortedRight.length && sortedRight[i].start <= a.end + distance; i++) {
+        this.nearBudget--;
+        if (this.nearBudget < 0) {
+          throw new QuerySyntaxError(`NEAR at position ${position} compares too many occurrences, use longer terms or a shorter distance`, position);
+        }
+        const b = sortedRight[i];
+        if (a.start - b.end <= distance) {
+          const start = Math.min(a.start, b.start);
+          const end = Math.max(a.end, b.end);
+          const key = `${start}-${end}`;
+          if (!spans.has(key)) {
+            spans.set(key, { start, end, tokens: [], seen: new Set() });
+          }
+          const occurrence = spans.get(key);
+          for (const token of a.tokens.concat(b.tokens)) {
+            if (!occurrence.seen.has(token)) {
+              occurrence.seen.add(token);
+              occurrence.tokens.push(token);
+            }
+          }
+        }
+      }
+    }
+    return [...spans.values()].map(({ start, end, tokens }) => ({ start, end, tokens }));
+  }
+  
+  // Occurrences of words on consecutive tokens, from the inverted index
+  evaluatePhrase(words, match, clause) {
+    const wordForms = words.map(word => {
+      const query = this.options.normalize ? ArabicTextUtils.normalize(word, this.options.normalize) : word;
+      const forms = new Map();
+      for (const form of SearchIndex.findForms(query, { exact: match === 'exact', normalize: this.options.normalize })) {
+        for (const location of SearchIndex.getPostings(form)) {
+          forms.set(location, form);
+        }
+      }
+      return forms;
+    });
+    
+    const result = new Map();
+    for (const [location, form] of wordForms[0]) {
+      const [chapterNumber, verseNumber, tokenNumber] = location.split(':').map(Number);
+      const tokens = [{ number: tokenNumber, text: form, clause }];
+      for (let i = 1; i < wordForms.length && tokens.length === i; i++) {
+        const next = wordForms[i].get(`${chapterNumber}:${verseNumber}:${tokenNumber + i}`);
+        if (next !== undefined) {
+          tokens.push({ number: tokenNumber + i, text: next, clause });
+        }
+      }
+      if (tokens.length === wordForms.length) {
+        const verseLocation = `${chapterNumber}:${verseNumber}`;
+        if (!result.has(verseLocation)) {
+          result.set(verseLocation, []);
+        }
+        result.get(verseLocation).push({ start: tokenNumber, end: tokenNumber + words.length - 1, tokens });
+      }
+    }
+    return result;
+  }
+  
+  getAllVerses() {
+    return new Map(Document.getVerseList().map(entry => [`${entry.chapterNumber}:${entry.data.number}`, []]));
+  }
+  
+  // Queries spanning several words can cross token boundaries, so scan the verses
+  scanVerses(term, query) {
+    const searchResults = Document.searchText(term.text, {
+      exact: term.type === 'exact',
+      normalize: this.options.normalize || false,
+      caseSensitive: this.options.caseSensitive || false,
+      scope: this.options.scope || null
+    });
+    
+    return searchResults.map(result => {
+      const verse = Document.getVerse(result.chapterNumber, result.verseNumber);
+      const matchingTokens = verse.getTokens().filter(token => {
+        const tokenText = this.options.normalize ? 
+          ArabicTextUtils.normalize(token.getText(), this.options.normalize) : 
+          token.getText();
+        return term.type === 'exact' ? tokenText === query : tokenText.includes(query);
+      });
+      
+      return {
+        ...result,
+        matchingTokens: matchingTokens.map(t => ({
+          number: t.getTokenNumber(),
+          text: t.getText(),
+          location: t.getLocation()
+        }))
+      };
+    });
+  }
+}
+
+// English stop words, dropped from exact-word matching unless the query has nothing else
+const ENGLISH_STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'been', 'but', 'by', 'did', 'do', 'does', 'for', 'from',
+  'had', 'has', 'have', 'he', 'her', 'him', 'his', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'me',
+  'my', 'of', 'on', 'or', 'our', 'she', 'so', 'than', 'that', 'the', 'their', 'them', 'then', 'there',
+  'these', 'they', 'this', 'those', 'to', 'us', 'was', 'we', 'were', 'what', 'when', 'which', 'who',
+  'whom', 'will', 'with', 'you', 'your'
+]);
+
+const PORTER_STEP2 = {
+  ational: 'ate', tional: 'tion', enci: 'ence', anci: 'ance', izer: 'ize', bli: 'ble', alli: 'al',
+  entli: 'ent', eli: 'e', ousli: 'ous', ization: 'ize', ation: 'ate', ator: 'ate', alism: 'al',
+  iveness: 'ive', fulness: 'ful', ousness: 'ous', aliti: 'al', iviti: 'ive', biliti: 'ble', logi: 'log'
+};
+const PORTER_STEP3 = { icate: 'ic', ative: '', alize: 'al', iciti: 'ic', ical: 'ic', ful: '', ness: '' };
+
+// Porter's measure m counts vowel-consonant sequences: mgr0 is m > 0, meq1 is m = 1, mgr1 is m > 1
+const PORTER_MEASURES = (() => {
+  const c = '[^aeiou]';
+  const v = '[aeiouy]';
+  const C = c + '[^aeiouy]*';
+  const V = v + '[aeiou]*';
+  return {
+    mgr0: new RegExp('^(' + C + ')?' + V + C),
+    meq1: new RegExp('^(' + C + ')?' + V + C + '(' + V + ')?$'),
+    mgr1: new RegExp('^(' + C + ')?' + V + C + V + C),
+    hasVowel: new RegExp('^(' + C + ')?' + v),
+    cvc: new RegExp('^' + C + v + '[^aeiouwxy]$')
+  };
+})();
+
+// Porter (1980) stemmer for English
+class EnglishStemmer {
+  static stem(word) {
+    if (word.length < 3) {
+      return word;
+    }
+    
+    const { mgr0, meq1, mgr1, hasVowel, cvc } = PORTER_MEASURES;
+    const initialY = word[0] === 'y';
+    if (initialY) {
+      word = 'Y' + word.slice(1);
+    }
+    let match;
+    
+    // Step 1a: plurals
+    if ((match = word.match(/^(.+?)(ss|i)es$/))) {
+      word = match[1] + match[2];
+    } else if ((match = word.match(/^(.+?)([^s])s$/))) {
+      word = match[1] + match[2];
+    }
+    
+    // Step 1b: -eed, -ed, -ing
+    if ((match = word.match(/^(.+?)eed$/))) {
+      if (mgr0.test(match[1])) {
+        word = word.slice(0, -1);
+      }
+    } else if ((match = word.match(/^(.+?)(ed|ing)$/)) && hasVowel.test(match[1])) {
+      word = match[1];
+      if (/(at|bl|iz)$/.test(word)) {
+        word += 'e';
+      } else if (/([^aeiouylsz])\1$/.test(word)) {
+        word = word.slice(0, -1);
+      } else if (cvc.test(word)) {
+        word += 'e';
+      }
+    }
+    
+    // Step 1c: y -> i
+    if ((match = word.match(/^(.+?)y$/)) && hasVowel.test(match[1])) {
+      word = match[1] + 'i';
+    }
+    
+    // Step 2
+    if ((match = word.match(/^(.+?)(ational|tional|enci|anci|izer|bli|alli|entli|eli|ousli|ization|ation|ator|alism|iveness|fulness|ousness|aliti|iviti|biliti|logi)$/)) && mgr0.test(match[1])) {
+      word = match[1] + PORTER_STEP2[match[2]];
+    }
+    
+    // Step 3
+    if ((match = word.match(/^(.+?)(icate|ative|alize|iciti|ical|ful|ness)$/)) && mgr0.test(match[1])) {
+      word = match[1] + PORTER_STEP3[match[2]];
+    }
+    
+    // Step 4
+    if ((match = word.match(/^(.+?)(al|ance|ence|er|ic|able|ible|ant|ement|ment|ent|ou|ism|ate|iti|ous|ive|ize)$/))) {
+      if (mgr1.test(match[1])) {
+        word = match[1];
+      }
+    } else if ((match = word.match(/^(.+?)(s|t)(ion)$/)) && mgr1.test(match[1] + match[2])) {
+      word = match[1] + match[2];
+    }
+    
+    // Step 5
+    if ((match = word.match(/^(.+?)e$/)) && (mgr1.test(match[1]) || (meq1.test(match[1]) && !cvc.test(match[1])))) {
+      word = match[1];
+    }
+    if (/ll$/.test(word) && mgr1.test(word)) {
+      word = word.slice(0, -1);
+    }
+    
+    return initialY ? 'y' + word.slice(1) : word;
+  }
+}
+
+// [pattern, restored first letters]: menyembah <- sembah, menanam <- tanam, memukul <- pukul
+const MALAY_PREFIXES = [
+  [/^(?:meny|peny)([aeiou].*)$/, ['s']],
+  [/^(?:meng|peng)([aeiou].*)$/, ['', 'k']],
+  [/^(?:meng|peng)([ghk].*)$/, ['']],
+  [/^(?:mem|pem)([bfpv].*)$/, ['']],
+  [/^(?:mem|pem)([aeiou].*)$/, ['p']],
+  [/^(?:men|pen)([cdjstz].*)$/, ['']],
+  [/^(?:men|pen)([aeiou].*)$/, ['t']],
+  [/^(?:me|pe)([lmnrwy][aeiou].*)$/, ['']],
+  [/^(?:ber|per|ter)(.*)$/, ['']],
+  [/^(?:be|pe|te)(r[aeiou].*)$/, ['']],
+  [/^bel(ajar)$/, ['']],
+  // Only before a root of four letters or more, so semua, sedia and ketua stay whole
+  [/^(?:di|ke|se)(.{4,})$/, ['']]
+];
+const MALAY_INNER_PREFIXES = [
+  [/^(?:ber|per|ter)(.*)$/, ['']]
+];
+// Roots that only look prefixed, whose remainder is another word (sekutu is not se- + kutu)
+const MALAY_ROOTS = new Set(['kerana', 'sedang', 'segala', 'sekutu', 'seluruh']);
+
+// Malay affix stripping. Nasal prefixes drop the root's first consonant
+// (mengasihi <- kasih, but mengampuni <- ampun), so a word may have several candidate roots
+class MalayStemmer {
+  static stems(word) {
+    const stems = new Set([word]);
+    
+    // Reduplication: orang-orang -> orang
+    const reduplicated = word.match(/^(.+)-\1$/);
+    if (reduplicated) {
+      word = reduplicated[1];
+      stems.add(word);
+    }
+    
+    // Particles (-lah, -kah, -pun, -tah), possessives (-ku, -mu, -nya) and derivational
+    // suffixes (-kan, -an, -i, which may stack as in mengasihani <- kasih). Each step
+    // keeps the unstripped form too, since pengampun ends in -pun without the particle
+    let bases = [word];
+    for (const suffix of [/(lah|kah|pun|tah)$/, /(ku|mu|nya)$/, /(kan|an|i)$/, /(kan|an)$/]) {
+      bases = [...new Set(bases.flatMap(base => [base, this.stripSuffix(base, suffix)]))];
+    }
+    for (const base of bases) {
+      stems.add(base);
+      for (const root of this.stripPrefix(base)) {
+        stems.add(root);
+        // A second prefix, as in memperoleh -> peroleh -> oleh
+        for (const inner of this.stripPrefix(root, true)) {
+          stems.add(inner);
+        }
+      }
+    }
+    return [...stems];
+  }
+  
+  static stripSuffix(word, suffix) {
+    const stripped = word.replace(suffix, '');
+    return stripped.length >= 4 ? stripped : word;
+  }
+  
+  // Candidate roots after removing one prefix; inner limits it to per-, ber- and ter-
+  static stripPrefix(word, inner = false) {
+    const candidates = [];
+    if (MALAY_ROOTS.has(word)) {
+      return candidates;
+    }
+    const rules = inner ? MALAY_INNER_PREFIXES : MALAY_PREFIXES;
+    for (const [pattern, replacements] of rules) {
+      const match = word.match(pattern);
+      if (match) {
+        for (const replacement of replacements) {
+          const root = replacement + match[1];
+          if (root.length >= 3 && /[aeiou]/.test(root)) {
+            candidates.push(root);
+          }
+        }
+      }
+    }
+    return candidates;
+  }
+}
+
+// Words for TextAnalyzer: a run of Han characters (group 1), or letters, marks and
+// digits joined by apostrophes or hyphens
+const ANALYZER_WORDS = /(\p{Script=Han}+)|(?:(?!\p{Script=Han})[\p{L}\p{M}\p{N}])+(?:['’-](?:(?!\p{Script=Han})[\p{L}\p{M}\p{N}])+)*/gu;
+
+// Per-language tokenization for translation search. Text is folded to NFC and
+// lower case; Chinese runs are split into overlapping character bigrams, English
+// words are stemmed without stop words and Malay words are reduced to candidate roots
+class TextAnalyzer {
+  // Folded text, with offsets mapping each folded position back to the original text (null when unchanged)
+  static fold(text) {
+    const folded = text.normalize('NFC').toLowerCase();
+    if (folded.length === text.length && text.normalize('NFC') === text) {
+      return { text: folded, offsets: null };
+    }
+    
+    // Fold word by word; a word whose length changes is folded one base character and its
+    // combining marks at a time, so offsets only shift at those cluster boundaries
+    let result = '';
+    const offsets = [];
+    for (const word of text.matchAll(/\S+|\s+/g)) {
+      const foldedWord = word[0].normalize('NFC').toLowerCase();
+      const clusters = foldedWord.length === word[0].length ?
+        [{ text: foldedWord, index: 0, length: word[0].length }] :
+        [...word[0].matchAll(/\P{M}\p{M}*|\p{M}+/gu)].map(cluster => ({ text: cluster[0].normalize('NFC').toLowerCase(), index: cluster.index, length: cluster[0].length }));
+      for (const cluster of clusters) {
+        for (let k = 0; k < cluster.text.length; k++) {
+          offsets.push(word.index + cluster.index + Math.min(k, cluster.length));
+        }
+        result += cluster.text;
+      }
+    }
+    offsets.push(text.length);
+    return { text: result, offsets };
+  }
+  
+  static toOriginal(folded, offset) {
+    return folded.offsets ? folded.offsets[offset] : offset;
+  }
+  
+  // Tokens {terms, start, end} with offsets into the original text; a token matches
+  // a query token when they share a term. options.keepStopWords keeps English stop words;
+  // options.cache false keeps the stems of the text out of the stem cache, as for queries
+  static analyze(text, lang, options = {}) {
+    return this.analyzeFolded(this.fold(text), lang, options);
+  }
+  
+  static analyzeFolded(folded, lang, options = {}) {
+    const tokens = [];
+    for (const match of folded.text.matchAll(ANALYZER_WORDS)) {
+      const word = match[0];
+      const start = match.index;
+      
+      if (match[1]) {
+        for (const bigram of this.getBigrams(word)) {
+          tokens.push({ terms: [bigram.text], start: start + bigram.start, end: start + bigram.start + bigram.text.length });
+        }
+        continue;
+      }
+      
+      // Hyphenated words also match their parts: oft-forgiving matches forgiving
+      const terms = word.includes('-') ?
+        [...new Set([word, ...word.split('-')].flatMap(part => this.getTerms(part, lang, options)))] :
+        this.getTerms(word, lang, options);
+      if (terms.length > 0) {
+        tokens.push({ terms, start, end: start + word.length });
+      }
+    }
+    
+    if (folded.offsets) {
+      for (const token of tokens) {
+        token.start = folded.offsets[token.start];
+        token.end = folded.offsets[token.end];
+      }
+    }
+    return tokens;
+  }
+  
+  // Overlapping character pairs of a Han run, {text, start} with start in UTF-16 units;
+  // a single character is its own term
+  static getBigrams(run) {
+    const characters = [...run];
+    if (characters.length === 1) {
+      return [{ text: run, start: 0 }];
+    }
+    const bigrams = [];
+    let offset = 0;
+    for (let i = 0; i + 1 < characters.length; i++) {
+      bigrams.push({ text: characters[i] + characters[i + 1], start: offset });
+      offset += characters[i].length;
+    }
+    return bigrams;
+  }
+  
+  static getTerms(word, lang, options = {}) {
+    switch (lang) {
+      case 'en': {
+        word = word.replace(/['’]s$/, '');
+        if (!options.keepStopWords && ENGLISH_STOP_WORDS.has(word)) {
+          return [];
+        }
+        return [this.cached('en', word, () => EnglishStemmer.stem(word), options.cache !== false)];
+      }
+      case 'ms':
+        return this.cached('ms', word, () => MalayStemmer.stems(word), options.cache !== false);
+      default:
+        return [word];
+    }
+  }
+  
+  // Stems by language and word. Only translation words are stored, since each translation
+  // has a vocabulary of a few thousand words; query words are looked up but never stored
+  static cached(lang, word, stem, store) {
+    if (!this.stems) {
+      this.stems = new Map();
+    }
+    if (!this.stems.has(lang)) {
+      this.stems.set(lang, new Map());
+    }
+    const stems = this.stems.get(lang);
+    let terms = stems.get(word);
+    if (terms === undefined) {
+      terms = stem();
+      if (store) {
+        stems.set(word, terms);
+      }
+    }
+    return terms;
+  }
+}
+
+const BM25_K1 = 1.2;
+const BM25_B = 0.75;
+// Snippets are cut to about this many characters, starting a little before the first match
+const SNIPPET_LENGTH = 160;
+const SNIPPET_CONTEXT = 40;
+
+// Match spans ({start, end} UTF-16 offsets) reported by the search routes, and the
+// highlight=<tag> option that wraps them in the verse text
+class Highlighter {
+  // Maps a highlight query parameter to a tag name: '' when not highlighting, 'mark' for true,
+  // null when the value is not a plain element name
+  static parseTag(value) {
+    if (value === null || value === '' || value === 'false') {
+      return '';
+    }
+    if (value === 'true') {
+      return 'mark';
+    }
+    return /^[a-zA-Z][a-zA-Z0-9-]*$/.test(value) ? value : null;
+  }
+  
+  // Sorted, with overlapping and touching spans joined
+  static mergeSpans(spans) {
+    const sorted = [...spans].sort((a, b) => a.start - b.start);
+    const merged = [];
+    for (const span of sorted) {
+      const last = merged[merged.length - 1];
+      if (last && span.start <= last.end) {
+        last.end = Math.max(last.end, span.end);
+      } else {
+        merged.push({ start: span.start, end: span.end });
+      }
+    }
+    return merged;
+  }
+  
+  // Merged spans with the text each one covers
+  static toMatches(text, spans) {
+    return this.mergeSpans(spans).map(span => ({ start: span.start, end: span.end, text: text.slice(span.start, span.end) }));
+  }
+  
+  // The text with each span wrapped in <tag>...</tag>; the text is inserted as is, not escaped
+  static wrap(text, spans, tag) {
+    let wrapped = '';
+    let position = 0;
+    for (const span of this.mergeSpans(spans)) {
+      wrapped += text.slice(position, span.start) + `<${tag}>` + text.slice(span.start, span.end) + `</${tag}>`;
+      position = span.end;
+    }
+    return wrapped + text.slice(position);
+  }
+}
+
+// Raised for an output transform parameter with an invalid value
+class TransformError extends Error {
+  constructor(message, parameter) {
+    super(message);
+    this.name = 'TransformError';
+    this.parameter = parameter;
+  }
+}
+
+// Output forms of Arabic text: without diacritics (diacritics=false), without Quranic
+// annotation marks such as waqf signs and small high letters (marks=false), and in
+// Unicode NFC or NFD (unicode=nfc|nfd), applied in that order
+class OutputTransform {
+  // null when the request asks for no transform
+  static fromParams(searchParams) {
+    const transform = new OutputTransform();
+    for (const name of ['diacritics', 'marks']) {
+      const value = searchParams.get(name);
+      if (value !== null && value !== 'true' && value !== 'false') {
+        throw new TransformError(`Invalid ${name} value: ${value} (expected true or false)`, name);
+      }
+      if (value === 'false') {
+        transform.applied[name] = false;
+      }
+    }
+    const unicode = searchParams.get('unicode');
+    if (unicode !== null) {
+      if (!['nfc', 'nfd'].includes(unicode.toLowerCase())) {
+        throw new TransformError(`Invalid unicode value: ${unicode} (expected nfc or nfd)`, 'unicode');
+      }
+      transform.applied.unicode = unicode.toLowerCase();
+    }
+    return Object.keys(transform.applied).length > 0 ? transform : null;
+  }
+  
+  constructor() {
+    this.applied = {};
+  }
+  
+  apply(text) {
+    return this.applyWithOffsets(text).text;
+  }
+  
+  // The transformed text, with offsets as in ArabicTextUtils.normalizeWithOffsets().
+  // Each letter is transformed together with the marks that follow it, so that Unicode
+  // normalization can compose and reorder them
+  applyWithOffsets(text) {
+    let result = '';
+    const offsets = [];
+    for (const cluster of text.matchAll(/\P{M}\p{M}*|\p{M}+/gu)) {
+      let part = cluster[0];
+      if (this.applied.marks === false) {
+        part = part.replace(/[ۖ-ۭ]/g, '');
+        // Signs that stood on their own leave no doubled or trailing spaces
+        if (/^\s+$/.test(part) && (result.length === 0 || result.endsWith(' '))) {
+          part = '';
+        }
+      }
+      if (this.applied.diacritics === false) {
+        part = ArabicTextUtils.removeDiacritics(part);
+      }
+      if (this.applied.unicode) {
+        part = part.normalize(this.applied.unicode.toUpperCase());
+      }
+      result += part;
+      for (let i = 0; i < part.length; i++) {
+        offsets.push(cluster.index);
+      }
+    }
+    if (this.applied.marks === false && result.endsWith(' ')) {
+      result = result.trimEnd();
+      offsets.length = result.length;
+    }
+    offsets.push(text.length);
+    return { text: result, offsets };
+  }
+  
+  // Matches in text moved to the transformed text
+  applyToMatches(text, matches) {
+    const transformed = this.applyWithOffsets(text);
+    const spans = matches.map(match => ({
+      start: ArabicTextUtils.findOffset(transformed.offsets, match.start),
+      end: ArabicTextUtils.findOffset(transformed.offsets, match.end)
+    }));
+    return Highlighter.toMatches(transformed.text, spans.filter(span => span.end > span.start));
+  }
+  
+  // The transforms as echoed in responses
+  describe() {
+    return { ...this.applied };
+  }
+}
+
+// Finds where query terms occur in translation verses, through the language's TextAnalyzer
+class TranslationMatcher {
+  // type is 'exact', 'substring', 'regex' or 'wildcard'; pattern is the compiled regex or wildcard
+  constructor(type, lang, pattern = null) {
+    this.type = type;
+    this.lang = lang;
+    this.pattern = pattern;
+    this.budget = new PatternBudget();
+    this.analyzerOptions = {};
+  }
+  
+  // Words are compared with punctuation removed
+  static stripPunctuation(word) {
+    return word.replace(/[.,;:!?()[\]{}'"]/g, '');
+  }
+  
+  // The whole query as one term, or each of its words when split for relevance ranking.
+  // Exact terms are phrases of analyzed tokens, substring terms are folded text
+  getTerms(query, split) {
+    if (this.pattern) {
+      return [null];
+    }
+    
+    if (this.type === 'exact') {
+      let tokens = TextAnalyzer.analyze(query, this.lang, { cache: false });
+      if (tokens.length === 0) {
+        // A query of stop words only is matched with stop words kept
+        this.analyzerOptions = { keepStopWords: true };
+        tokens = TextAnalyzer.analyze(query, this.lang, { ...this.analyzerOptions, cache: false });
+      }
+      if (tokens.length === 0) {
+        return [];
+      }
+      const phrases = split ? tokens.map(token => [token.terms]) : [tokens.map(token => token.terms)];
+      return [...new Map(phrases.map(phrase => [JSON.stringify(phrase), phrase])).values()];
+    }
+    
+    const folded = TextAnalyzer.fold(query).text;
+    return split ?
+      [...new Set(folded.split(/\s+/).map(word => TranslationMatcher.stripPunctuation(word)).filter(word => word.length > 0))] :
+      [folded];
+  }
+  
+  // Spans ({start, end} UTF-16 offsets into text) of each term, one list per term.
+  // Pattern spans are whole words, numbered and with their text
+  match(text, terms) {
+    if (this.pattern) {
+      return [this.matchPattern(text)];
+    }
+    
+    const folded = TranslationMatcher.foldVerse(text);
+    if (this.type === 'exact') {
+      const tokens = TextAnalyzer.analyzeFolded(folded, this.lang, this.analyzerOptions);
+      return terms.map(phrase => this.matchPhrase(tokens, phrase));
+    }
+    
+    return terms.map(term => {
+      const spans = [];
+      for (let index = folded.text.indexOf(term); index !== -1 && term; index = folded.text.indexOf(term, index + term.length)) {
+        spans.push({ start: TextAnalyzer.toOriginal(folded, index), end: TextAnalyzer.toOriginal(folded, index + term.length) });
+      }
+      return spans;
+    });
+  }
+  
+  // Folded verse text, kept for the life of the worker; only verse texts are cached, never queries
+  static foldVerse(text) {
+    if (!this.folds) {
+      this.folds = new Map();
+    }
+    let folded = this.folds.get(text);
+    if (!folded) {
+      folded = TextAnalyzer.fold(text);
+      this.folds.set(text, folded);
+    }
+    return folded;
+  }
+  
+  // Runs of consecutive tokens sharing a term with each token of the phrase
+  matchPhrase(tokens, phrase) {
+    const spans = [];
+    for (let i = 0; i + phrase.length <= tokens.length; i++) {
+      if (phrase.every((terms, j) => tokens[i + j].terms.some(term => terms.includes(term)))) {
+        spans.push({ start: tokens[i].start, end: tokens[i + phrase.length - 1].end });
+      }
+    }
+    return spans;
+  }
+  
+  matchPattern(text) {
+    const spans = [];
+    let number = 0;
+    for (const match of text.matchAll(/\S+/g)) {
+      number++;
+      if (this.budget.test(this.pattern, TranslationMatcher.stripPunctuation(match[0]))) {
+        const leading = match[0].length - match[0].replace(/^[.,;:!?()[\]{}'"]+/, '').length;
+        const trailing = match[0].length - match[0].replace(/[.,;:!?()[\]{}'"]+$/, '').length;
+        spans.push({ start: match.index + leading, end: match.index + match[0].length - trailing, number, text: match[0] });
+      }
+    }
+    return spans;
+  }
+  
+  // A window of text around the first match, with highlight offsets into the snippet
+  static makeSnippet(text, spans) {
+    const merged = Highlighter.mergeSpans(spans);
+    
+    let start = 0;
+    let end = text.length;
+    if (text.length > SNIPPET_LENGTH && merged.length > 0) {
+      const first = merged[0];
+      start = Math.max(0, first.start - SNIPPET_CONTEXT);
+      if (start > 0) {
+        const space = text.indexOf(' ', start);
+        start = space !== -1 && space < first.start ? space + 1 : first.start;
+      }
+      end = Math.min(text.length, start + SNIPPET_LENGTH);
+      if (end < text.length) {
+        const space = text.lastIndexOf(' ', end);
+        end = space > first.end ? space : Math.max(end, first.end);
+      }
+    }
+    
+    const prefix = start > 0 ? '…' : '';
+    const suffix = end < text.length ? '…' : '';
+    return {
+      text: prefix + text.slice(start, end) + suffix,
+      highlights: merged
+        .filter(span => span.start >= start && span.end <= end)
+        .map(span => ({ start: span.start - start + prefix.length, end: span.end - start + prefix.length }))
+    };
+  }
+}
+
+// Okapi BM25 relevance of translation verses; verse length is counted in letters
+// and digits so that scripts written without spaces are measured the same way
+class Bm25 {
+  static getLength(text) {
+    return (text.match(/[\p{L}\p{N}]/gu) || []).length;
+  }
+  
+  // Verse count and average verse length of a translation, built once per translation
+  static getStats(translationKey) {
+    if (!this.stats) {
+      this.stats = new Map();
+    }
+    if (!this.stats.has(translationKey)) {
+      let verseCount = 0;
+      let totalLength = 0;
+      for (const chapter of translations[translationKey].chapters) {
+        for (const verse of chapter.verses) {
+          verseCount++;
+          totalLength += this.getLength(verse.text);
+        }
+      }
+      this.stats.set(translationKey, { verseCount, averageLength: totalLength / verseCount });
+    }
+    return this.stats.get(translationKey);
+  }
+  
+  static idf(stats, documentFrequency) {
+    return Math.log(1 + (stats.verseCount - documentFrequency + 0.5) / (documentFrequency + 0.5));
+  }
+  
+  // termFrequencies and documentFrequencies are parallel arrays, one entry per query term
+  static score(stats, termFrequencies, documentFrequencies, length) {
+    let score = 0;
+    termFrequencies.forEach((frequency, index) => {
+      if (frequency > 0) {
+        const norm = BM25_K1 * (1 - BM25_B + BM25_B * length / stats.averageLength);
+        score += this.idf(stats, documentFrequencies[index]) * frequency * (BM25_K1 + 1) / (frequency + norm);
+      }
+    });
+    return score;
+  }
+}
+
+// Raised for a regex or wildcard pattern that is invalid or too expensive to run
+class PatternError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'PatternError';
+  }
+}
+
+const MAX_PATTERN_LENGTH = 100;
+const MAX_PATTERN_QUANTIFIERS = 10;
+// Quantifiers without an upper bound (*, + and {n,}); two of them already backtrack
+// quadratically on a word that almost matches
+const MAX_PATTERN_UNBOUNDED = 1;
+// Ways a pattern's bounded quantifiers and alternations can combine, e.g. 4 for a?b?
+const MAX_PATTERN_BRANCHES = 64;
+// Backtracking steps a single search may spend, estimated per word from the input
+// length and the pattern's quantifiers. Workers freeze timers while a request
+// computes, so work is bounded by this estimate instead of elapsed time.
+const MAX_PATTERN_STEPS = 20000000;
+
+// Largest edit distance accepted by type=fuzzy
+const MAX_FUZZY_DISTANCE = 3;
+
+// Compiles user-supplied regex and wildcard patterns, rejecting constructs
+// prone to catastrophic backtracking
+class PatternMatcher {
+  // type is 'regex' or 'wildcard'; wildcards use ? for one character and * for any run
+  static compile(pattern, type, options = {}) {
+    if (pattern.length > MAX_PATTERN_LENGTH) {
+      throw new PatternError(`Pattern is longer than ${MAX_PATTERN_LENGTH} characters`);
+    }
+    
+    let source;
+    if (type === 'wildcard') {
+      const text = options.normalize ? ArabicTextUtils.normalize(pattern, options.normalize) : pattern;
+      if ((text.match(/[?*]/g) || []).length > MAX_PATTERN_QUANTIFIERS) {
+        throw new PatternError(`Pattern has more than ${MAX_PATTERN_QUANTIFIERS} wildcards`);
+      }
+      // A leading or trailing * only drops the anchor, so it costs no backtracking
+      const body = text.replace(/\*+/g, '*');
+      source = (body.startsWith('*') ? '' : '^') + body
+        .replace(/^\*|\*$/g, '')
+        .replace(/[.+^${}()|[\]\\]/g, '\\$&')
+        .replace(/\?/g, '.')
+        .replace(/\*/g, '.*') + (body.length > 1 && body.endsWith('*') ? '' : '$');
+    } else {
+      if (/\\[1-9]|\\k</.test(pattern)) {
+        throw new PatternError('Backreferences are not supported');
+      }
+      source = pattern;
+    }
+    
+    const stats = this.analyze(source);
+    if (stats.quantifiers > MAX_PATTERN_QUANTIFIERS) {
+      throw new PatternError(`Pattern has more than ${MAX_PATTERN_QUANTIFIERS} quantifiers`);
+    }
+    if (stats.unbounded > MAX_PATTERN_UNBOUNDED) {
+      throw new PatternError(type === 'wildcard' ?
+        'Pattern may use * only once between other characters, e.g. ال*ون or *ين*' :
+        'Pattern may use only one unbounded quantifier (*, + or {n,})');
+    }
+    if (stats.branches > MAX_PATTERN_BRANCHES) {
+      throw new PatternError(`Pattern has more than ${MAX_PATTERN_BRANCHES} combinations of optional parts and alternatives`);
+    }
+    
+    let regex;
+    try {
+      regex = new RegExp(source, options.caseInsensitive ? 'iu' : 'u');
+    } catch (error) {
+      throw new PatternError(`Invalid pattern: ${error.message}`);
+    }
+    if (!this.stats) {
+      this.stats = new WeakMap();
+    }
+    this.stats.set(regex, stats);
+    return regex;
+  }
+  
+  // Counts a regex's quantifiers, those without an upper bound, and the ways its bounded
+  // quantifiers and alternations branch. A repeated group may not contain a quantifier
+  // or alternation at any depth, so (a+)+ and ((.+))+ are rejected alike; ? only makes
+  // a group optional and is allowed
+  static analyze(source) {
+    const stats = { quantifiers: 0, unbounded: 0, branches: 1 };
+    const groups = [{ alternatives: 1, repeats: false }];
+    // What a following quantifier would repeat: a closed group, true for any other atom
+    let atom = null;
+    let index = 0;
+    while (index < source.length) {
+      const rest = source.slice(index);
+      const quantifier = rest.match(/^(?:[*+?]|\{(\d+)(,(\d*))?\})\??/);
+      if (atom && quantifier) {
+        if (atom !== true && quantifier[0][0] !== '?' && (atom.repeats || atom.alternatives > 1)) {
+          throw new PatternError('Repeated groups containing quantifiers or alternation, such as (a+)+ or (a|b)*, are not supported');
+        }
+        const [text, min, comma, max] = quantifier;
+        stats.quantifiers++;
+        if (text[0] === '*' || text[0] === '+' || (comma && !max)) {
+          stats.unbounded++;
+        } else if (text[0] === '?') {
+          stats.branches *= 2;
+        } else if (max) {
+          stats.branches *= Math.max(1, parseInt(max) - parseInt(min) + 1);
+        }
+        groups.forEach(group => { group.repeats = true; });
+        atom = null;
+        index += text.length;
+        continue;
+      }
+      
+      const char = source[index];
+      if (char === '\\') {
+        atom = true;
+        index += rest.match(/^\\(?:[pPu]\{[^}]*\}|c[A-Za-z]|x[0-9a-fA-F]{2}|u[0-9a-fA-F]{4}|.)?/su)[0].length || 1;
+      } else if (char === '[') {
+        atom = true;
+        const characterClass = rest.match(/^\[(?:\\.|[^\]\\])*\]/su);
+        index += characterClass ? characterClass[0].length : rest.length;
+      } else if (char === '(') {
+        groups.push({ alternatives: 1, repeats: false });
+        atom = null;
+        index += rest.match(/^\((?:\?(?:[:=!]|<[=!]|<[^>]*>))?/)[0].length;
+      } else if (char === ')') {
+        atom = groups.length > 1 ? groups.pop() : true;
+        if (atom !== true) {
+          stats.branches *= atom.alternatives;
+        }
+        index++;
+      } else if (char === '|') {
+        groups[groups.length - 1].alternatives++;
+        atom = null;
+        index++;
+      } else {
+        atom = char === '^' || char === '$' ? null : true;
+        index++;
+      }
+    }
+    stats.branches *= groups[0].alternatives;
+    return stats;
+  }
+  
+  // Backtracking steps a pattern may take on a text: every start position, times every
+  // end of the unbounded quantifier, times every branch
+  static estimateSteps(pattern, text) {
+    const stats = this.stats.get(pattern);
+    return (text.length + 1) * (stats.unbounded > 0 ? text.length + 1 : 1) * stats.branches;
+  }
+}
+
+// Tracks the backtracking a search spends on a pattern across all the text it tests
+class PatternBudget {
+  constructor(limit = MAX_PATTERN_STEPS) {
+    this.remaining = limit;
+  }
+  
+  test(pattern, text) {
+    this.remaining -= PatternMatcher.estimateSteps(pattern, text);
+    if (this.remaining < 0) {
+      throw new PatternError('Pattern search exceeded its work budget, narrow the pattern or the search');
+    }
+    return pattern.test(text);
+  }
+}
+
+// Limits that keep a query's parse and evaluation cheap
+const MAX_QUERY_LENGTH = 500;
+const MAX_QUERY_DEPTH = 20;
+// Every clause holds a term or phrase, so this also bounds the number of clauses
+const MAX_QUERY_TERMS = 10;
+const MAX_NEAR_DISTANCE = 50;
+// Occurrence pairs a query's NEAR clauses may compare in total
+const MAX_NEAR_PAIRS = 20000;
+
+// Raised for a search query that does not follow the query language
+class QuerySyntaxError extends Error {
+  constructor(message, position) {
+    super(message);
+    this.name = 'QuerySyntaxError';
+    this.position = position;
+  }
+}
+
+// Parses the search query language into nodes evaluated by TokenSearch:
+//   الله AND رحيم     both terms in the verse (AND may be omitted)
+//   الله OR رب        either term
+//   NOT كفر           verses without the term
+//   "بسم الله"        adjacent tokens in order
+//   الله NEAR/3 رحيم  terms at most 3 tokens apart
+// Parentheses group clauses; operators are upper case
+class QueryParser {
+  static isBooleanQuery(query) {
+    return /["()]|(^|\s)(AND|OR|NOT|NEAR(\/\d+)?)(?=\s|$)/.test(query);
+  }
+  
+  static tokenize(query) {
+    const tokens = [];
+    let position = 0;
+    while (position < query.length) {
+      const char = query[position];
+      if (/\s/.test(char)) {
+        position++;
+      } else if (char === '(' || char === ')') {
+        tokens.push({ type: char === '(' ? 'lparen' : 'rparen', position });
+        position++;
+      } else if (char === '"') {
+        const end = query.indexOf('"', position + 1);
+        if (end === -1) {
+          throw new QuerySyntaxError(`Unterminated phrase at position ${position}`, position);
+        }
+        const words = query.slice(position + 1, end).split(/\s+/).filter(word => word);
+        if (words.length === 0) {
+          throw new QuerySyntaxError(`Empty phrase at position ${position}`, position);
+        }
+        tokens.push({ type: 'phrase', words, source: query.slice(position, end + 1), position });
+        position = end + 1;
+      } else {
+        const word = query.slice(position).match(/^[^\s()"]+/)[0];
+        const near = word.match(/^NEAR(?:\/(\d+))?$/);
+        if (near) {
+          const distance = near[1] !== undefined ? parseInt(near[1]) : 5;
+          if (distance > MAX_NEAR_DISTANCE) {
+            throw new QuerySyntaxError(`NEAR distance at position ${position} is more than ${MAX_NEAR_DISTANCE}`, position);
+          }
+          tokens.push({ type: 'near', distance, position });
+        } else if (['AND', 'OR', 'NOT'].includes(word)) {
+          tokens.push({ type: word.toLowerCase(), position });
+        } else {
+          tokens.push({ type: 'word', text: word, position });
+        }
+        position += word.length;
+      }
+    }
+    return tokens;
+  }
+  
+  // match is 'exact' or 'substring' and applies to every term and phrase word
+  static parse(query, options = {}) {
+    if (query.length > MAX_QUERY_LENGTH) {
+      throw new QuerySyntaxError(`Query is longer than ${MAX_QUERY_LENGTH} characters`, MAX_QUERY_LENGTH);
+    }
+    const parser = { tokens: this.tokenize(query), index: 0, depth: 0, terms: 0, match: options.match || 'substring', query };
+    const node = this.parseOr(parser);
+    if (parser.index < parser.tokens.length) {
+      const token = parser.tokens[parser.index];
+      throw new QuerySyntaxError(`Unexpected ${token.type === 'rparen' ? '")"' : token.type.toUpperCase()} at position ${token.position}`, token.position);
+    }
+    return node;
+  }
+  
+  static peek(parser) {
+    return parser.tokens[parser.index];
+  }
+  
+  // Parentheses and NOT nest clauses; each level is counted while it is parsed
+  static enter(parser, token) {
+    parser.depth++;
+    if (parser.depth > MAX_QUERY_DEPTH) {
+      throw new QuerySyntaxError(`Query nests more than ${MAX_QUERY_DEPTH} levels at position ${token.position}`, token.position);
+    }
+  }
+  
+  static parseOr(parser) {
+    const children = [this.parseAnd(parser)];
+    while (this.peek(parser) && this.peek(parser).type === 'or') {
+      parser.index++;
+      children.push(this.parseAnd(parser));
+    }
+    return children.length === 1 ? children[0] : { type: 'or', children };
+  }
+  
+  static parseAnd(parser) {
+    const children = [this.parseNot(parser)];
+    let token = this.peek(parser);
+    while (token && token.type !== 'or' && token.type !== 'rparen') {
+      if (token.type === 'and') {
+        parser.index++;
+      }
+      children.push(this.parseNot(parser));
+      token = this.peek(parser);
+    }
+    return children.length === 1 ? children[0] : { type: 'and', children };
+  }
+  
+  static parseNot(parser) {
+    const token = this.peek(parser);
+    if (token && token.type === 'not') {
+      parser.index++;
+      this.enter(parser, token);
+      const child = this.parseNot(parser);
+      parser.depth--;
+      return { type: 'not', child };
+    }
+    return this.parseNear(parser);
+  }
+  
+  static parseNear(parser) {
+    let node = this.parsePrimary(parser);
+    while (this.peek(parser) && this.peek(parser).type === 'near') {
+      const { distance, position } = this.peek(parser);
+      parser.index++;
+      node = { type: 'near', distance, position, left: node, right: this.parsePrimary(parser) };
+    }
+    return node;
+  }
+  
+  static parsePrimary(parser) {
+    const token = this.peek(parser);
+    if (!token) {
+      throw new QuerySyntaxError(`Expected a search term at end of query`, parser.query.length);
+    }
+    parser.index++;
+    
+    if (token.type === 'lparen') {
+      this.enter(parser, token);
+      const node = this.parseOr(parser);
+      const closing = this.peek(parser);
+      if (!closing || closing.type !== 'rparen') {
+        throw new QuerySyntaxError(`Missing ")" for "(" at position ${token.position}`, token.position);
+      }
+      parser.index++;
+      parser.depth--;
+      return node;
+    }
+    if (token.type === 'phrase' || token.type === 'word') {
+      parser.terms++;
+      if (parser.terms > MAX_QUERY_TERMS) {
+        throw new QuerySyntaxError(`Query has more than ${MAX_QUERY_TERMS} terms and phrases at position ${token.position}`, token.position);
+      }
+    }
+    if (token.type === 'phrase') {
+      return { type: 'phrase', words: token.words, match: parser.match, source: token.source };
+    }
+    if (token.type === 'word') {
+      return { type: 'term', text: token.text, match: parser.match, source: token.text };
+    }
+    throw new QuerySyntaxError(`Expected a search term at position ${token.position}`, token.position);
+  }
+}
+
+// Raised for a reference segment that cannot be resolved
+class ReferenceParseError extends Error {
+  constructor(message, segment, segmentIndex) {
+    super(message);
+    this.name = 'ReferenceParseError';
+    this.segment = segment;
+    this.segmentIndex = segmentIndex;
+  }
+}
+
+// Largest number of verses a single /api/passages request may return, counting every segment
+const MAX_PASSAGE_VERSES = 1000;
+
+// Parses references such as "2:255", "2:255-257", "2:285-3:5", "112" or "78-80",
+// comma separated, into verse ranges in the order given
+class ReferenceParser {
+  static parse(ref) {
+    const segments = ref.split(',');
+    return segments.map((segment, index) => this.parseSegment(segment.replace(/\s+/g, ''), index));
+  }
+  
+  static parseSegment(segment, index) {
+    if (!segment) {
+      throw new ReferenceParseError('Empty reference segment', segment, index);
+    }
+    
+    const match = segment.match(/^(\d+)(?::(\d+))?(?:-(\d+)(?::(\d+))?)?$/);
+    if (!match) {
+      throw new ReferenceParseError(`Invalid reference "${segment}", expected forms like 2:255, 2:255-257, 2:285-3:5 or 112`, segment, index);
+    }
+    
+    const [, startChapter, startVerse, rangeEnd, rangeEndVerse] = match;
+    const start = this.resolve(parseInt(startChapter), startVerse ? parseInt(startVerse) : 1, segment, index);
+    let end;
+    
+    if (rangeEnd === undefined) {
+      // "2:255" is a single verse, "112" the whole chapter
+      end = startVerse ? start : this.resolveChapterEnd(parseInt(startChapter), segment, index);
+    } else if (rangeEndVerse !== undefined) {
+      // "2:285-3:5" or "78-80:10"
+      end = this.resolve(parseInt(rangeEnd), parseInt(rangeEndVerse), segment, index);
+    } else if (startVerse) {
+      // "2:255-257" stays within the chapter
+      end = this.resolve(start.getChapterNumber(), parseInt(rangeEnd), segment, index);
+    } else {
+      // "78-80" spans whole chapters
+      end = this.resolveChapterEnd(parseInt(rangeEnd), segment, index);
+    }
+    
+    const startIndex = Document.getVerseIndex(start.getChapterNumber(), start.getNumber());
+    const endIndex = Document.getVerseIndex(end.getChapterNumber(), end.getNumber());
+    if (endIndex < startIndex) {
+      throw new ReferenceParseError(`Range end ${end.getLocation()} comes before its start ${start.getLocation()}`, segment, index);
+    }
+    
+    return { segment, start, end, startIndex, endIndex };
+  }
+  
+  static resolve(chapterNumber, verseNumber, segment, index) {
+    if (!Document.getChapter(chapterNumber)) {
+      throw new ReferenceParseError(`Chapter ${chapterNumber} not found (valid range 1-${Document.getChapterCount()})`, segment, index);
+    }
+    const verse = Document.getVerse(chapterNumber, verseNumber);
+    if (!verse) {
+      throw new ReferenceParseError(`Verse ${chapterNumber}:${verseNumber} not found`, segment, index);
+    }
+    return verse;
+  }
+  
+  static resolveChapterEnd(chapterNumber, segment, index) {
+    const chapter = Document.getChapter(chapterNumber);
+    if (!chapter) {
+      throw new ReferenceParseError(`Chapter ${chapterNumber} not found (valid range 1-${Document.getChapterCount()})`, segment, index);
+    }
+    return chapter.getVerse(chapter.getVerseCount());
+  }
+}
+
+class ScopeError extends Error {
+  constructor(message, parameter) {
+    super(message);
+    this.name = 'ScopeError';
+    this.parameter = parameter;
+  }
+}
+
+// The verses a search is limited to: chapters or verse ranges, juz and revelation
+// type, each narrowing the scope further, less any excluded ranges
+class SearchScope {
+  static getParameters() {
+    return ['chapters', 'juz', 'revelation', 'exclude'];
+  }
+  
+  // null when the request sets no scope parameter
+  static fromParams(searchParams) {
+    if (!this.getParameters().some(name => searchParams.get(name))) {
+      return null;
+    }
+    
+    const scope = new SearchScope();
+    const chapters = searchParams.get('chapters');
+    if (chapters) {
+      const ranges = this.parseRanges(chapters, 'chapters');
+      scope.restrict(index => ranges.some(range => index >= range.startIndex && index <= range.endIndex));
+      scope.applied.chapters = ranges.map(range => range.segment);
+    }
+    
+    const juz = searchParams.get('juz');
+    if (juz) {
+      const numbers = this.parseNumbers(juz, Document.getDivisionStarts('juz').length, 'juz');
+      const parts = numbers.map(number => Document.getDivision('juz', number));
+      scope.restrict(index => parts.some(part => index >= part.startIndex && index <= part.endIndex));
+      scope.applied.juz = numbers;
+    }
+    
+    const revelation = searchParams.get('revelation');
+    if (revelation) {
+      const type = ['Meccan', 'Medinan'].find(name => name.toLowerCase() === revelation.toLowerCase());
+      if (!type) {
+        throw new ScopeError(`Invalid revelation type: ${revelation} (expected meccan or medinan)`, 'revelation');
+      }
+      const chapterTypes = Document.getAllChapters().map(chapter => chapter.getRevelationType());
+      scope.restrict(index => chapterTypes[Document.getVerseList()[index].chapterNumber - 1] === type);
+      scope.applied.revelation = type;
+    }
+    
+    const exclude = searchParams.get('exclude');
+    if (exclude) {
+      const ranges = this.parseRanges(exclude, 'exclude');
+      scope.restrict(index => !ranges.some(range => index >= range.startIndex && index <= range.endIndex));
+      scope.applied.exclude = ranges.map(range => range.segment);
+    }
+    
+    return scope;
+  }
+  
+  static parseRanges(value, parameter) {
+    try {
+      return ReferenceParser.parse(value);
+    } catch (error) {
+      if (!(error instanceof ReferenceParseError)) {
+        throw error;
+      }
+      throw new ScopeError(error.message, parameter);
+    }
+  }
+  
+  // "30", "1-3" or "1-3,30", each between 1 and max
+  static parseNumbers(value, max, parameter) {
+    const numbers = new Set();
+    for (const segment of value.split(',')) {
+      const match = segment.trim().match(/^(\d+)(?:-(\d+))?$/);
+      const start = match ? parseInt(match[1]) : NaN;
+      const end = match && match[2] !== undefined ? parseInt(match[2]) : start;
+      if (!(start >= 1 && end >= start && end <= max)) {
+        throw new ScopeError(`Invalid ${parameter} "${segment.trim()}", expected numbers or ranges between 1 and ${max}`, parameter);
+      }
+      for (let number = start; number <= end; number++) {
+        numbers.add(number);
+      }
+    }
+    return [...numbers].sort((a, b) => a - b);
+  }
+  
+  constructor() {
+    this.verses = new Array(Document.getVerseList().length).fill(true);
+    this.applied = {};
+  }
+  
+  restrict(predicate) {
+    this.verses = this.verses.map((included, index) => included && predicate(index));
+  }
+  
+  includes(chapterNumber, verseNumber) {
+    return this.verses[Document.getVerseIndex(chapterNumber, verseNumber)];
+  }
+  
+  // The scope as echoed in responses
+  describe() {
+    return { ...this.applied, verseCount: this.verses.filter(included => included).length };
+  }
+}
+
+// How search hits are distributed: verse and occurrence counts per chapter or per
+// part of a division, for the facets parameter of the search routes
+class SearchFacets {
+  static getTypes() {
+    return ['chapter', ...Object.keys(divisions)];
+  }
+  
+  // The requested facet types, or null if any is unknown
+  static parse(value) {
+    if (!value) {
+      return [];
+    }
+    const types = [...new Set(value.split(',').map(type => type.trim()).filter(type => type))];
+    return types.every(type => this.getTypes().includes(type)) ? types : null;
+  }
+  
+  // hits are {chapterNumber, verseNumber, occurrenceCount}, one per matching verse
+  static count(hits, types) {
+    const facets = {};
+    for (const type of types) {
+      const buckets = new Map();
+      for (const hit of hits) {
+        const number = type === 'chapter' ? hit.chapterNumber : Document.getDivisionNumber(type, hit.chapterNumber, hit.verseNumber);
+        if (!buckets.has(number)) {
+          buckets.set(number, type === 'chapter' ?
+            { chapterNumber: number, chapterName: Document.getChapter(number).getName(), verseCount: 0, occurrenceCount: 0 } :
+            { number, verseCount: 0, occurrenceCount: 0 });
+        }
+        const bucket = buckets.get(number);
+        bucket.verseCount++;
+        bucket.occurrenceCount += hit.occurrenceCount;
+      }
+      facets[type] = [...buckets.keys()].sort((a, b) => a - b).map(number => buckets.get(number));
+    }
+    return facets;
+  }
+}
+
+class PaginationError extends Error {
+  constructor(message, parameter) {
+    super(message);
+    this.name = 'PaginationError';
+    this.parameter = parameter;
+  }
+}
+
+const DEFAULT_SEARCH_LIMIT = 50;
+const MAX_SEARCH_LIMIT = 100;
+
+// A window of limit results starting at offset, chosen by offset, page or cursor.
+// Search results are always fully ordered, so the same query pages the same way.
+// A cursor is opaque to clients: it holds the offset and a hash of the query it belongs to
+class Pagination {
+  static getParameters() {
+    return ['limit', 'offset', 'page', 'cursor'];
+  }
+  
+  static fromParams(url) {
+    const params = url.searchParams;
+    const limit = this.parseLimit(params.get('limit'), MAX_SEARCH_LIMIT);
+    const pagination = new Pagination(url, limit === null ? DEFAULT_SEARCH_LIMIT : limit);
+    
+    const given = ['offset', 'page', 'cursor'].filter(name => params.get(name));
+    if (given.length > 1) {
+      throw new PaginationError(`Use only one of ${given.join(', ')}`, given[1]);
+    }
+    if (params.get('offset')) {
+      pagination.offset = this.parseInteger(params.get('offset'), 'offset', 0, Infinity);
+    } else if (params.get('page')) {
+      pagination.offset = (this.parseInteger(params.get('page'), 'page', 1, Infinity) - 1) * pagination.limit;
+    } else if (params.get('cursor')) {
+      pagination.offset = this.decodeCursor(params.get('cursor'), pagination.queryKey);
+    }
+    return pagination;
+  }
+  
+  // null when the parameter is absent
+  static parseInteger(value, name, min, max) {
+    if (value === null || value === '') {
+      return null;
+    }
+    const number = /^\d+$/.test(value) ? parseInt(value) : NaN;
+    if (!(number >= min && number <= max)) {
+      throw new PaginationError(max === Infinity ?
+        `Parameter "${name}" must be a whole number of at least ${min}` :
+        `Parameter "${name}" must be a whole number between ${min} and ${max}`, name);
+    }
+    return number;
+  }
+  
+  // Limits above max are capped rather than rejected, since clients written before there
+  // was a maximum may ask for more; null when the parameter is absent
+  static parseLimit(value, max) {
+    const limit = this.parseInteger(value, 'limit', 1, Infinity);
+    return limit === null ? null : Math.min(limit, max);
+  }
+  
+  // Identifies a query by its parameters other than paging ones, in a fixed order
+  static getQueryKey(searchParams) {
+    const entries = [...searchParams.entries()]
+      .filter(([name]) => !this.getParameters().includes(name))
+      .sort((a, b) => a[0] < b[0] ? -1 : a[0] > b[0] ? 1 : 0);
+    let hash = 5381;
+    for (const ch of JSON.stringify(entries)) {
+      hash = (hash * 33 + ch.charCodeAt(0)) >>> 0;
+    }
+    return hash.toString(36);
+  }
+  
+  static encodeCursor(offset, queryKey) {
+    return btoa(JSON.stringify({ o: offset, q: queryKey })).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+  }
+  
+  static decodeCursor(cursor, queryKey) {
+    let decoded;
+    try {
+      decoded = JSON.parse(atob(cursor.replace(/-/g, '+').replace(/_/g, '/')));
+    } catch (error) {
+      throw new PaginationError('Invalid cursor', 'cursor');
+    }
+    if (!decoded || !Number.isInteger(decoded.o) || decoded.o < 0) {
+      throw new PaginationError('Invalid cursor', 'cursor');
+    }
+    if (decoded.q !== queryKey) {
+      throw new PaginationError('Cursor belongs to a different query', 'cursor');
+    }
+    return decoded.o;
+  }
+  
+  constructor(url, limit) {
+    this.url = url;
+    this.limit = limit;
+    this.offset = 0;
+    this.queryKey = Pagination.getQueryKey(url.searchParams);
+  }
+  
+  slice(results) {
+    return results.slice(this.offset, this.offset + this.limit);
+  }
+  
+  // Link to the page starting at offset, as a cursor
+  getLink(offset) {
+    const link = new URL(this.url.toString());
+    for (const name of ['offset', 'page', 'cursor']) {
+      link.searchParams.delete(name);
+    }
+    link.searchParams.set('cursor', Pagination.encodeCursor(offset, this.queryKey));
+    return link.toString();
+  }
+  
+  describe(totalResults) {
+    return {
+      offset: this.offset,
+      limit: this.limit,
+      page: Math.floor(this.offset / this.limit) + 1,
+      totalPages: Math.ceil(totalResults / this.limit),
+      totalResults,
+      next: this.offset + this.limit < totalResults ? this.getLink(this.offset + this.limit) : null,
+      prev: this.offset > 0 ? this.getLink(Math.max(0, this.offset - this.limit)) : null
+    };
+  }
+}
+
+// Chapter names in Arabic and Latin script, gathered from the Quran text,
+// Tanzil metadata and every translation, for fuzzy name lookup
+class ChapterNameIndex {
+  static getEntries() {
+    if (!this.entries) {
+      const seen = new Set();
+      this.entries = [];
+      const add = (chapterNumber, name) => {
+        if (!name || /^Chapter \d+$/.test(name)) {
+          return;
+        }
+        const key = this.toKey(name);
+        if (key && !seen.has(`${chapterNumber}:${key}`)) {
+          seen.add(`${chapterNumber}:${key}`);
+          this.entries.push({ chapterNumber, name, key, arabic: this.isArabic(name) });
+        }
+      };
+      
+      quranData.chapters.forEach(ch => add(ch.number, ch.name));
+      quranMetadata.chapters.forEach(ch => {
+        add(ch.number, ch.transliteratedName);
+        add(ch.number, ch.englishName);
+      });
+      Object.values(translations).forEach(translation => {
+        translation.chapters.forEach(ch => {
+          add(ch.number, ch.name);
+          add(ch.number, ch.name_arabic);
+          add(ch.number, ch.name_translation);
+        });
+      });
+    }
+    return this.entries;
+  }
+  
+  static isArabic(text) {
+    return /[\u0600-\u06FF]/.test(text);
+  }
+  
+  // Fold a name so spelling variants meet: "Al-Baqarah", "al baqara" and "Baqara" all become "baqara"
+  static toKey(name) {
+    if (this.isArabic(name)) {
+      return ArabicTextUtils.normalize(name).replace(/\s+/g, '').replace(/^ال/, '');
+    }
+    return name
+      .normalize('NFD')
+      .replace(/\p{M}/gu, '')
+      .toLowerCase()
+      .replace(/^(?:the|a[lnrstdz]h?|el|ul)[\s-]+/, '')
+      .replace(/[^a-z]/g, '')
+      .replace(/oo/g, 'u')
+      .replace(/e/g, 'i')
+      .replace(/(.)\1+/g, '$1')
+      .replace(/ah$/, 'a');
+  }
+  
+  // Best matching chapters for a name, with a 0-1 confidence score
+  static lookup(name, maxResults = 3) {
+    const key = this.toKey(name);
+    if (!key) {
+      return [];
+    }
+    const arabic = this.isArabic(name);
+    const best = new Map();
+    
+    for (const entry of this.getEntries()) {
+      // The length difference is a lower bound on the edit distance, so names that
+      // cannot reach the confidence threshold (any overlong candidate) are skipped
+      if (entry.arabic !== arabic || Math.abs(entry.key.length - key.length) > 0.3 * Math.max(entry.key.length, key.length)) {
+        continue;
+      }
+      const distance = entry.key === key ? 0 : editDistance(entry.key, key);
+      const confidence = 1 - distance / Math.max(entry.key.length, key.length);
+      // Very short names such as "Ta-Ha" or "ق" only match exactly
+      if (confidence < 0.7 || (distance > 0 && Math.min(entry.key.length, key.length) <= 3)) {
+        continue;
+      }
+      const current = best.get(entry.chapterNumber);
+      if (!current || confidence > current.confidence) {
+        best.set(entry.chapterNumber, { chapterNumber: entry.chapterNumber, matchedName: entry.name, confidence });
+      }
+    }
+    
+    return [...best.values()]
+      .sort((a, b) => b.confidence - a.confidence || a.chapterNumber - b.chapterNumber)
+      .slice(0, maxResults);
+  }
+}
+
+const MAX_REFERENCE_QUERY_LENGTH = 200;
+
+// Parses free-form references such as "Al-Baqarah 255", "Surah Yasin 1-5",
+// "البقرة ٢٥٥" or "Q 2:255" into canonical chapter:verse ranges
+class NaturalReferenceParser {
+  static normalizeQuery(query) {
+    return query
+      .replace(/[\u0660-\u0669]/g, digit => String(digit.charCodeAt(0) - 0x0660))
+      .replace(/[\u06F0-\u06F9]/g, digit => String(digit.charCodeAt(0) - 0x06F0))
+      .replace(/[\u2010-\u2015]/g, '-')
+      .replace(/\u060C/g, ',')
+      .replace(/\u061B/g, ';')
+      .replace(/\s+/g, ' ')
+      .trim();
+  }
+  
+  static parse(query) {
+    const normalizedQuery = this.normalizeQuery(query);
+    const references = [];
+    const unresolved = [];
+    
+    normalizedQuery.split(/[;,]/).map(part => part.trim()).filter(part => part).forEach(part => {
+      try {
+        const matches = this.parsePart(part);
+        if (matches.length === 0) {
+          unresolved.push({ input: part, error: 'No chapter name matches' });
+        } else {
+          references.push({ input: part, ...matches[0], alternatives: matches.slice(1) });
+        }
+      } catch (error) {
+        if (!(error instanceof ReferenceParseError)) {
+          throw error;
+        }
+        unresolved.push({ input: part, error: error.message });
+      }
+    });
+    
+    return { normalizedQuery, references, unresolved };
+  }
+  
+  static parsePart(part) {
+    const text = part
+      .replace(/^(?:(?:al-?qur'?an|qur'?an|qs|q|surah|surat|sura|s\u016Brah|\u0633\u0648\u0631\u0629|\u0633\u0648\u0631\u0647)(?:[\s.:]+|(?=\d)))+/i, '')
+      .trim();
+    
+    // Plain numeric references go straight to the reference grammar
+    if (/^[\d\s:-]+$/.test(text)) {
+      return [this.toMatch(ReferenceParser.parseSegment(text.replace(/\s+/g, ''), 0), null, 1)];
+    }
+    
+    const match = text.match(/^(.*?)[\s:]*(\d+(?:\s*-\s*\d+)?)?$/);
+    const name = match[1].trim();
+    const verses = match[2] ? match[2].replace(/\s+/g, '') : null;
+    
+    // Candidates whose chapter lacks the requested verses are dropped; if none
+    // remain, the best candidate's error is reported
+    const matches = [];
+    let firstError = null;
+    for (const candidate of ChapterNameIndex.lookup(name)) {
+      const segment = verses ? `${candidate.chapterNumber}:${verses}` : String(candidate.chapterNumber);
+      try {
+        matches.push(this.toMatch(ReferenceParser.parseSegment(segment, 0), candidate.matchedName, candidate.confidence));
+      } catch (error) {
+        if (!(error instanceof ReferenceParseError)) {
+          throw error;
+        }
+        firstError = firstError || error;
+      }
+    }
+    if (matches.length === 0 && firstError) {
+      throw firstError;
+    }
+    return matches;
+  }
+  
+  static toMatch(range, matchedName, confidence) {
+    const chapter = Document.getChapter(range.start.getChapterNumber());
+    const start = range.start.getLocation();
+    const end = range.end.getLocation();
+    return {
+      reference: start === end ? start : `${start}-${range.end.getChapterNumber() === range.start.getChapterNumber() ? range.end.getNumber() : end}`,
+      start,
+      end,
+      chapterNumber: chapter.getNumber(),
+      chapterName: chapter.getName(),
+      transliteratedName: chapter.getTransliteratedName(),
+      matchedName,
+      confidence: Math.round(confidence * 100) / 100
+    };
+  }
+}
+
+// Main worker handler
+export default {
+  async fetch(request, env, ctx) {
+    const url = new URL(request.url);
+    const path = url.pathname;
+    
+    // CORS headers
+    const corsHeaders = {
       'Access-Control-Allow-Origin': '*',
       'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
       'Access-Control-Allow-Headers': 'Content-Type, Accept, Authorization, Cache-Control',
@@ -433,6 +3235,21 @@ export default {
           }));
         }
         
+        const bismillahMode = url.searchParams.get('bismillah') || 'separate';
+        if (!BISMILLAH_MODES.includes(bismillahMode)) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: `Unsupported bismillah mode: ${bismillahMode}`,
+            supportedModes: BISMILLAH_MODES,
+            usage: `GET /api/translations/${translationKey}/chapters/2?bismillah=prepend`
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        // Whether the chapter has a basmala comes from the Arabic text
+        const bismillah = Document.getChapter(chapterNum).getBismillah() ? getTranslatedBismillah(translation) : null;
+        
         return addCorsHeaders(new Response(JSON.stringify({
           translation: translationKey,
           number: chapter.number,
@@ -440,7 +3257,11 @@ export default {
           name_arabic: chapter.name_arabic,
           name_translation: chapter.name_translation,
           verseCount: chapter.verses.length,
-          verses: chapter.verses
+          bismillah: bismillahMode === 'separate' ? bismillah : null,
+          bismillahMode,
+          verses: bismillah && bismillahMode === 'prepend' ?
+            chapter.verses.map(verse => verse.number === 1 ? { ...verse, text: `${bismillah} ${verse.text}` } : verse) :
+            chapter.verses
         }), {
           headers: { 'Content-Type': 'application/json' }
         }));
@@ -499,8 +3320,26 @@ export default {
         const chapterNum = parseInt(compareMatch[1]);
         const verseNum = parseInt(compareMatch[2]);
         
+        const script = url.searchParams.get('script') || DEFAULT_SCRIPT;
+        const scriptError = getScriptError(script);
+        if (scriptError) {
+          return addCorsHeaders(new Response(JSON.stringify(scriptError.body), { 
+            status: scriptError.status,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const { transform, error: transformError } = parseTransform(url.searchParams, 'GET /api/compare/1/1?diacritics=false&marks=false&unicode=nfc');
+        if (transformError) {
+          return addCorsHeaders(new Response(JSON.stringify(transformError.body), { 
+            status: transformError.status,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        const form = text => transform ? transform.apply(text) : text;
+        
         // Get Arabic verse
-        const arabicVerse = Document.getVerse(chapterNum, verseNum);
+        const arabicVerse = Document.getVerse(chapterNum, verseNum, script);
         if (!arabicVerse) {
           return addCorsHeaders(new Response(JSON.stringify({ error: 'Verse not found' }), { 
             status: 404,
@@ -508,100 +3347,519 @@ export default {
           }));
         }
         
-        // Get translations
-        const translatedVerses = {};
-        Object.keys(translations).forEach(key => {
-          const translation = translations[key];
-          const chapter = translation.chapters.find(ch => ch.number === chapterNum);
-          if (chapter) {
-            const verse = chapter.verses.find(v => v.number === verseNum);
-            if (verse) {
-              translatedVerses[key] = {
-                text: verse.text,
-                translator: translation.translator,
-                language: translation.language,
-                language_name: translation.language_name
-              };
-            }
-          }
-        });
-        
+        // Get translations
+        const translatedVerses = {};
+        Object.keys(translations).forEach(key => {
+          const translation = translations[key];
+          const chapter = translation.chapters.find(ch => ch.number === chapterNum);
+          if (chapter) {
+            const verse = chapter.verses.find(v => v.number === verseNum);
+            if (verse) {
+              translatedVerses[key] = {
+                text: verse.text,
+                translator: translation.translator,
+                language: translation.language,
+                language_name: translation.language_name
+              };
+            }
+          }
+        });
+        
+        const response = {
+          chapterNumber: chapterNum,
+          verseNumber: verseNum,
+          arabic: {
+            text: form(arabicVerse.getText()),
+            script,
+            source: Document.getScriptSource(script)
+          },
+          translations: translatedVerses
+        };
+        if (transform) {
+          response.transforms = transform.describe();
+        }
+        return addCorsHeaders(new Response(JSON.stringify(response), {
+          headers: { 'Content-Type': 'application/json' }
+        }));
+      }
+      
+      // GET /api/chapters - List all chapters
+      if (path === '/api/chapters') {
+        const sort = url.searchParams.get('sort') || 'mushaf'; // 'mushaf' or 'revelation'
+        
+        if (!['mushaf', 'revelation'].includes(sort)) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: `Unsupported sort: ${sort}`,
+            supportedSorts: ['mushaf', 'revelation']
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const allChapters = Document.getAllChapters();
+        if (sort === 'revelation') {
+          allChapters.sort((a, b) => a.getRevelationOrder() - b.getRevelationOrder());
+        }
+        
+        const chapters = allChapters.map(ch => ({
+          number: ch.getNumber(),
+          name: ch.getName(),
+          transliteratedName: ch.getTransliteratedName(),
+          englishName: ch.getEnglishName(),
+          revelationType: ch.getRevelationType(),
+          revelationOrder: ch.getRevelationOrder(),
+          rukuCount: ch.getRukuCount(),
+          verseCount: ch.getVerseCount(),
+          tokenCount: ch.getTokenCount(),
+          bismillah: ch.getBismillah(),
+          startPage: ch.getStartPage(),
+          endPage: ch.getEndPage()
+        }));
+        
+        return addCorsHeaders(new Response(JSON.stringify(chapters), {
+          headers: { 'Content-Type': 'application/json' }
+        }));
+      }
+      
+      // GET /api/chapters/{id} - Get specific chapter
+      const chapterMatch = path.match(/^\/api\/chapters\/(\d+)$/);
+      if (chapterMatch) {
+        const bismillahMode = url.searchParams.get('bismillah') || 'separate';
+        if (!BISMILLAH_MODES.includes(bismillahMode)) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: `Unsupported bismillah mode: ${bismillahMode}`,
+            supportedModes: BISMILLAH_MODES,
+            usage: 'GET /api/chapters/2?bismillah=prepend'
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const script = url.searchParams.get('script') || DEFAULT_SCRIPT;
+        const scriptError = getScriptError(script);
+        if (scriptError) {
+          return addCorsHeaders(new Response(JSON.stringify(scriptError.body), { 
+            status: scriptError.status,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const { transform, error: transformError } = parseTransform(url.searchParams, 'GET /api/chapters/1?diacritics=false&marks=false&unicode=nfc');
+        if (transformError) {
+          return addCorsHeaders(new Response(JSON.stringify(transformError.body), { 
+            status: transformError.status,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        const form = text => transform ? transform.apply(text) : text;
+        
+        const chapter = Document.getChapter(parseInt(chapterMatch[1]), script);
+        if (!chapter) {
+          return addCorsHeaders(new Response(JSON.stringify({ error: 'Chapter not found' }), { 
+            status: 404,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const bismillah = chapter.getBismillah();
+        const prefix = bismillah && bismillahMode === 'prepend' ? bismillah : null;
+        const response = {
+          number: chapter.getNumber(),
+          name: chapter.getName(),
+          transliteratedName: chapter.getTransliteratedName(),
+          englishName: chapter.getEnglishName(),
+          revelationType: chapter.getRevelationType(),
+          revelationOrder: chapter.getRevelationOrder(),
+          rukuCount: chapter.getRukuCount(),
+          verseCount: chapter.getVerseCount(),
+          tokenCount: chapter.getTokenCount(),
+          bismillah: bismillah && bismillahMode === 'separate' ? form(bismillah) : null,
+          bismillahMode,
+          startPage: chapter.getStartPage(),
+          endPage: chapter.getEndPage(),
+          script,
+          verses: chapter.getAllVerses().map(v => ({
+            number: v.getNumber(),
+            text: form(prefix && v.getNumber() === 1 ? `${prefix} ${v.getText()}` : v.getText()),
+            page: v.getPageNumber(),
+            ruku: v.getRukuNumber(),
+            sajda: v.getSajda(),
+            tokenCount: v.getTokenCount()
+          }))
+        };
+        // Token counts describe the verses alone; the prepended basmala's words are counted apart
+        if (prefix) {
+          response.bismillahTokenCount = QuranTokenizer.count(prefix);
+        }
+        if (bismillah && bismillahMode === 'separate') {
+          response.bismillahTranslations = {};
+          for (const [key, translation] of Object.entries(translations)) {
+            const translated = getTranslatedBismillah(translation);
+            if (translated) {
+              response.bismillahTranslations[key] = translated;
+            }
+          }
+        }
+        if (transform) {
+          response.transforms = transform.describe();
+        }
+        return addCorsHeaders(new Response(JSON.stringify(response), {
+          headers: { 'Content-Type': 'application/json' }
+        }));
+      }
+      
+      // GET /api/verses/{chapterNum}/{verseNum}/segments - Split a verse at its waqf signs
+      const segmentsMatch = path.match(/^\/api\/verses\/(\d+)\/(\d+)\/segments$/);
+      if (segmentsMatch) {
+        const pauseError = getPauseMarksError();
+        if (pauseError) {
+          return addCorsHeaders(new Response(JSON.stringify(pauseError.body), { 
+            status: pauseError.status,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const verse = Document.getVerse(parseInt(segmentsMatch[1]), parseInt(segmentsMatch[2]));
+        if (!verse) {
+          return addCorsHeaders(new Response(JSON.stringify({ error: 'Verse not found' }), { 
+            status: 404,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const segments = verse.getSegments().map((tokens, index) => {
+          const last = tokens[tokens.length - 1];
+          return {
+            number: index + 1,
+            text: verse.getText().slice(tokens[0].getStart(), last.getEnd()),
+            words: tokens.map(t => t.getWord()).join(' '),
+            startToken: tokens[0].getTokenNumber(),
+            endToken: last.getTokenNumber(),
+            tokenCount: tokens.length,
+            pause: last.getPause(),
+            pauseMark: last.getPauseMark()
+          };
+        });
+        
+        return addCorsHeaders(new Response(JSON.stringify({
+          chapterNumber: verse.getChapterNumber(),
+          verseNumber: verse.getNumber(),
+          location: verse.getLocation(),
+          text: verse.getText(),
+          tokenCount: verse.getTokenCount(),
+          segmentCount: segments.length,
+          segments
+        }), {
+          headers: { 'Content-Type': 'application/json' }
+        }));
+      }
+      
+      // GET /api/verses/{chapterNum}/{verseNum} - Get specific verse
+      const verseMatch = path.match(/^\/api\/verses\/(\d+)\/(\d+)$/);
+      if (verseMatch) {
+        const script = url.searchParams.get('script') || DEFAULT_SCRIPT;
+        const scriptError = getScriptError(script);
+        if (scriptError) {
+          return addCorsHeaders(new Response(JSON.stringify(scriptError.body), { 
+            status: scriptError.status,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const { transform, error: transformError } = parseTransform(url.searchParams, 'GET /api/verses/2/255?diacritics=false&marks=false&unicode=nfc');
+        if (transformError) {
+          return addCorsHeaders(new Response(JSON.stringify(transformError.body), { 
+            status: transformError.status,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        const form = text => transform ? transform.apply(text) : text;
+        
+        const verse = Document.getVerse(parseInt(verseMatch[1]), parseInt(verseMatch[2]), script);
+        if (!verse) {
+          return addCorsHeaders(new Response(JSON.stringify({ error: 'Verse not found' }), { 
+            status: 404,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const response = {
+          chapterNumber: verse.getChapterNumber(),
+          verseNumber: verse.getNumber(),
+          text: form(verse.getText()),
+          script,
+          location: verse.getLocation(),
+          juz: verse.getJuzNumber(),
+          hizb: verse.getHizbNumber(),
+          rub: verse.getRubNumber(),
+          page: verse.getPageNumber(),
+          manzil: verse.getManzilNumber(),
+          ruku: verse.getRukuNumber(),
+          sajda: verse.getSajda(),
+          tokenCount: verse.getTokenCount(),
+          tokens: verse.getTokens().map(t => {
+            const token = {
+              number: t.getTokenNumber(),
+              text: form(t.getText()),
+              word: form(t.getWord()),
+              location: t.getLocation(),
+              pause: t.getPause()
+            };
+            if (t.getPause()) {
+              token.pauseMark = t.getPauseMark();
+            }
+            if (t.getSigns().length > 0) {
+              token.signs = t.getSigns();
+            }
+            return token;
+          })
+        };
+        if (transform) {
+          response.transforms = transform.describe();
+        }
+        return addCorsHeaders(new Response(JSON.stringify(response), {
+          headers: { 'Content-Type': 'application/json' }
+        }));
+      }
+      
+      // GET /api/passages?ref=... - Get verses for one or more references
+      if (path === '/api/passages') {
+        const ref = url.searchParams.get('ref');
+        const translationParam = url.searchParams.get('translations');
+        const translationKeys = translationParam ? translationParam.split(',').map(key => key.trim()).filter(key => key) : [];
+        
+        if (!ref) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: 'Query parameter "ref" is required',
+            usage: 'GET /api/passages?ref=1:1-7,2:255-257,112&translations=en.hilali,ms.basmeih'
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const unknownKeys = translationKeys.filter(key => !translations[key]);
+        if (unknownKeys.length > 0) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: `Translation not found: ${unknownKeys.join(', ')}`,
+            available: Object.keys(translations)
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        let ranges;
+        try {
+          ranges = ReferenceParser.parse(ref);
+        } catch (error) {
+          if (!(error instanceof ReferenceParseError)) {
+            throw error;
+          }
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: error.message,
+            segment: error.segment,
+            segmentIndex: error.segmentIndex,
+            usage: 'GET /api/passages?ref=1:1-7,2:255-257,112'
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const requestedCount = ranges.reduce((total, range) => total + range.endIndex - range.startIndex + 1, 0);
+        if (requestedCount > MAX_PASSAGE_VERSES) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: `References cover ${requestedCount} verses, at most ${MAX_PASSAGE_VERSES} can be returned per request`,
+            verseCount: requestedCount,
+            maxVerses: MAX_PASSAGE_VERSES,
+            usage: 'GET /api/passages?ref=1:1-7,2:255-257,112'
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const verses = [];
+        for (const range of ranges) {
+          for (let index = range.startIndex; index <= range.endIndex; index++) {
+            const verse = Document.getVerseByIndex(index);
+            const result = {
+              chapterNumber: verse.getChapterNumber(),
+              verseNumber: verse.getNumber(),
+              location: verse.getLocation(),
+              text: verse.getText()
+            };
+            
+            if (translationKeys.length > 0) {
+              result.translations = {};
+              translationKeys.forEach(key => {
+                const translatedVerse = getTranslatedVerse(translations[key], verse.getChapterNumber(), verse.getNumber());
+                if (translatedVerse) {
+                  result.translations[key] = translatedVerse.text;
+                }
+              });
+            }
+            
+            verses.push(result);
+          }
+        }
+        
+        return addCorsHeaders(new Response(JSON.stringify({
+          ref,
+          references: ranges.map(range => ({
+            segment: range.segment,
+            start: range.start.getLocation(),
+            end: range.end.getLocation(),
+            verseCount: range.endIndex - range.startIndex + 1
+          })),
+          translations: translationKeys,
+          verseCount: verses.length,
+          verses
+        }), {
+          headers: { 'Content-Type': 'application/json' }
+        }));
+      }
+      
+      // GET /api/references/parse?q=... - Resolve free-form references
+      if (path === '/api/references/parse') {
+        const query = url.searchParams.get('q');
+        
+        if (!query) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: 'Query parameter "q" is required',
+            usage: 'GET /api/references/parse?q=Al-Baqarah 255',
+            examples: ['Al-Baqarah 255', 'Surah Yasin 1-5', 'البقرة ٢٥٥', 'Q 2:255']
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        if (query.length > MAX_REFERENCE_QUERY_LENGTH) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: `Query is longer than ${MAX_REFERENCE_QUERY_LENGTH} characters`,
+            maxLength: MAX_REFERENCE_QUERY_LENGTH,
+            usage: 'GET /api/references/parse?q=Al-Baqarah 255'
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const parsed = NaturalReferenceParser.parse(query);
         return addCorsHeaders(new Response(JSON.stringify({
-          chapterNumber: chapterNum,
-          verseNumber: verseNum,
-          arabic: {
-            text: arabicVerse.getText(),
-            source: "Tanzil.net Uthmani"
-          },
-          translations: translatedVerses
+          query,
+          normalizedQuery: parsed.normalizedQuery,
+          resultCount: parsed.references.length,
+          references: parsed.references,
+          unresolved: parsed.unresolved
         }), {
           headers: { 'Content-Type': 'application/json' }
         }));
       }
       
-      // GET /api/chapters - List all chapters
-      if (path === '/api/chapters') {
-        const chapters = Document.getAllChapters().map(ch => ({
-          number: ch.getNumber(),
-          name: ch.getName(),
-          verseCount: ch.getVerseCount(),
-          tokenCount: ch.getTokenCount(),
-          bismillah: ch.getBismillah()
+      // GET /api/sajdas - List prostration verses
+      if (path === '/api/sajdas') {
+        const sajdas = Document.getSajdas().map(sajda => ({
+          number: sajda.number,
+          type: sajda.type,
+          chapterNumber: sajda.verse.getChapterNumber(),
+          verseNumber: sajda.verse.getNumber(),
+          location: sajda.verse.getLocation(),
+          juz: sajda.verse.getJuzNumber(),
+          page: sajda.verse.getPageNumber(),
+          text: sajda.verse.getText()
         }));
         
-        return addCorsHeaders(new Response(JSON.stringify(chapters), {
+        return addCorsHeaders(new Response(JSON.stringify({
+          count: sajdas.length,
+          sajdas
+        }), {
           headers: { 'Content-Type': 'application/json' }
         }));
       }
       
-      // GET /api/chapters/{id} - Get specific chapter
-      const chapterMatch = path.match(/^\/api\/chapters\/(\d+)$/);
-      if (chapterMatch) {
-        const chapter = Document.getChapter(parseInt(chapterMatch[1]));
-        if (!chapter) {
-          return addCorsHeaders(new Response(JSON.stringify({ error: 'Chapter not found' }), { 
-            status: 404,
+      // GET /api/waqf?type=jaiz - Locations of a waqf sign, or counts of every sign
+      if (path === '/api/waqf') {
+        const pauseError = getPauseMarksError();
+        if (pauseError) {
+          return addCorsHeaders(new Response(JSON.stringify(pauseError.body), { 
+            status: pauseError.status,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const types = Document.getPauseTypes();
+        const typeParam = url.searchParams.get('type');
+        const pauses = Document.getPauses();
+        
+        if (!typeParam) {
+          return addCorsHeaders(new Response(JSON.stringify({
+            totalCount: pauses.length,
+            types: types.map(type => ({
+              ...type,
+              count: pauses.filter(token => token.getPause() === type.type).length
+            }))
+          }), {
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        // Signs can be given by name or as the sign itself
+        const type = types.find(t => t.type === typeParam.trim().toLowerCase() || t.mark === typeParam.trim());
+        if (!type) {
+          return addCorsHeaders(new Response(JSON.stringify({
+            error: `Invalid waqf type: ${typeParam}`,
+            validTypes: types.map(t => t.type)
+          }), {
+            status: 400,
             headers: { 'Content-Type': 'application/json' }
           }));
         }
         
+        const locations = pauses.filter(token => token.getPause() === type.type).map(token => token.getLocation());
         return addCorsHeaders(new Response(JSON.stringify({
-          number: chapter.getNumber(),
-          name: chapter.getName(),
-          verseCount: chapter.getVerseCount(),
-          tokenCount: chapter.getTokenCount(),
-          bismillah: chapter.getBismillah(),
-          verses: chapter.getAllVerses().map(v => ({
-            number: v.getNumber(),
-            text: v.getText(),
-            tokenCount: v.getTokenCount()
-          }))
+          ...type,
+          count: locations.length,
+          locations
         }), {
           headers: { 'Content-Type': 'application/json' }
         }));
       }
       
-      // GET /api/verses/{chapterNum}/{verseNum} - Get specific verse
-      const verseMatch = path.match(/^\/api\/verses\/(\d+)\/(\d+)$/);
-      if (verseMatch) {
-        const verse = Document.getVerse(parseInt(verseMatch[1]), parseInt(verseMatch[2]));
-        if (!verse) {
-          return addCorsHeaders(new Response(JSON.stringify({ error: 'Verse not found' }), { 
+      // GET /api/{juz|hizb|rub|pages|manzil|ruku}/{n} - Get verses of a division
+      const divisionMatch = path.match(/^\/api\/(juz|hizb|rub|pages|manzil|ruku)\/(\d+)$/);
+      if (divisionMatch) {
+        const type = divisionMatch[1] === 'pages' ? 'page' : divisionMatch[1];
+        const division = Document.getDivision(type, parseInt(divisionMatch[2]));
+        if (!division) {
+          const names = { juz: 'Juz', hizb: 'Hizb', rub: 'Rub', page: 'Page', manzil: 'Manzil', ruku: 'Ruku' };
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: `${names[type]} not found`,
+            validRange: `1-${Document.getDivisionStarts(type).length}`
+          }), { 
             status: 404,
             headers: { 'Content-Type': 'application/json' }
           }));
         }
         
+        const verses = division.getAllVerses();
         return addCorsHeaders(new Response(JSON.stringify({
-          chapterNumber: verse.getChapterNumber(),
-          verseNumber: verse.getNumber(),
-          text: verse.getText(),
-          location: verse.getLocation(),
-          tokenCount: verse.getTokenCount(),
-          tokens: verse.getTokens().map(t => ({
-            number: t.getTokenNumber(),
-            text: t.getText(),
-            location: t.getLocation()
+          type: division.getType(),
+          number: division.getNumber(),
+          start: division.getStartVerse().getLocation(),
+          end: division.getEndVerse().getLocation(),
+          verseCount: division.getVerseCount(),
+          chapters: division.getChapterNumbers(),
+          verses: verses.map(v => ({
+            chapterNumber: v.getChapterNumber(),
+            verseNumber: v.getNumber(),
+            location: v.getLocation(),
+            text: v.getText(),
+            tokenCount: v.getTokenCount()
           }))
         }), {
           headers: { 'Content-Type': 'application/json' }
@@ -612,169 +3870,706 @@ export default {
       if (path === '/api/search') {
         const query = url.searchParams.get('q');
         const type = url.searchParams.get('type') || 'substring'; // 'exact' or 'substring'
-        const normalize = url.searchParams.get('normalize') === 'true';
-        const limit = parseInt(url.searchParams.get('limit')) || 50;
+        let profile = ArabicTextUtils.parseProfile(url.searchParams.get('normalize'));
+        const highlight = Highlighter.parseTag(url.searchParams.get('highlight'));
+        const facetTypes = SearchFacets.parse(url.searchParams.get('facets'));
+        const script = url.searchParams.get('script') || DEFAULT_SCRIPT;
         
         if (!query) {
           return addCorsHeaders(new Response(JSON.stringify({ 
             error: 'Query parameter "q" is required',
-            usage: 'GET /api/search?q=الله&type=substring&normalize=true&limit=50'
+            usage: 'GET /api/search?q=الله&type=substring&normalize=standard&limit=50'
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        if (!profile) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: `Invalid normalize value: ${url.searchParams.get('normalize')}`,
+            validProfiles: ArabicTextUtils.getProfiles()
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const scriptError = getScriptError(script);
+        if (scriptError) {
+          return addCorsHeaders(new Response(JSON.stringify(scriptError.body), { 
+            status: scriptError.status,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const { transform, error: transformError } = parseTransform(url.searchParams, 'GET /api/search?q=الله&normalize=standard&diacritics=false&marks=false');
+        if (transformError) {
+          return addCorsHeaders(new Response(JSON.stringify(transformError.body), { 
+            status: transformError.status,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        if (highlight === null) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: `Invalid highlight value: ${url.searchParams.get('highlight')}`,
+            usage: 'GET /api/search?q=الله&highlight=mark'
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        if (!facetTypes) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: `Invalid facets: ${url.searchParams.get('facets')}`,
+            validFacets: SearchFacets.getTypes()
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        let pagination;
+        try {
+          pagination = Pagination.fromParams(url);
+        } catch (error) {
+          if (!(error instanceof PaginationError)) {
+            throw error;
+          }
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: error.message,
+            parameter: error.parameter,
+            usage: 'GET /api/search?q=الله&limit=20&page=2'
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        let scope;
+        try {
+          scope = SearchScope.fromParams(url.searchParams);
+        } catch (error) {
+          if (!(error instanceof ScopeError)) {
+            throw error;
+          }
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: error.message,
+            parameter: error.parameter,
+            usage: 'GET /api/search?q=صبر&normalize=standard&revelation=meccan&chapters=2-9&exclude=9'
           }), { 
             status: 400,
             headers: { 'Content-Type': 'application/json' }
           }));
         }
         
-        const search = new TokenSearch({ normalize });
-        if (type === 'exact') {
+        // Fuzzy matching compares normalized spellings, so it folds aggressively unless told otherwise
+        if (type === 'fuzzy' && !url.searchParams.has('normalize')) {
+          profile = 'aggressive';
+        }
+        const normalize = profile === 'none' ? null : profile;
+        
+        let maxDistance = null;
+        if (type === 'fuzzy') {
+          const fuzzyQuery = normalize ? ArabicTextUtils.normalize(query, normalize) : query.trim();
+          // By default one edit per four letters, at most two
+          maxDistance = url.searchParams.has('distance') ?
+            parseInt(url.searchParams.get('distance')) :
+            Math.min(2, Math.floor(fuzzyQuery.length / 4));
+          if (/\s/.test(fuzzyQuery) || !(maxDistance >= 0 && maxDistance <= MAX_FUZZY_DISTANCE)) {
+            return addCorsHeaders(new Response(JSON.stringify({ 
+              error: /\s/.test(fuzzyQuery) ?
+                'Fuzzy search matches a single word' :
+                `Parameter "distance" must be between 0 and ${MAX_FUZZY_DISTANCE}`,
+              usage: 'GET /api/search?q=الصلاة&type=fuzzy&distance=1'
+            }), { 
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            }));
+          }
+        }
+        
+        let pattern = null;
+        if (type === 'regex' || type === 'wildcard') {
+          try {
+            pattern = PatternMatcher.compile(query, type, { normalize });
+          } catch (error) {
+            if (!(error instanceof PatternError)) {
+              throw error;
+            }
+            return addCorsHeaders(new Response(JSON.stringify({ 
+              error: error.message,
+              usage: 'GET /api/search?q=^وال.*ين$&type=regex&normalize=standard'
+            }), { 
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            }));
+          }
+        }
+        
+        const search = new TokenSearch({ normalize, scope });
+        const syntax = !pattern && type !== 'fuzzy' && QueryParser.isBooleanQuery(query) ? 'boolean' : 'plain';
+        if (pattern) {
+          search.findPattern(pattern);
+        } else if (type === 'fuzzy') {
+          search.findFuzzy(query.trim(), maxDistance);
+        } else if (syntax === 'boolean') {
+          try {
+            search.findQuery(QueryParser.parse(query, { match: type === 'exact' ? 'exact' : 'substring' }));
+          } catch (error) {
+            if (!(error instanceof QuerySyntaxError)) {
+              throw error;
+            }
+            return addCorsHeaders(new Response(JSON.stringify({ 
+              error: error.message,
+              position: error.position,
+              usage: 'GET /api/search?q="بسم الله" AND (رحيم OR رحمن) NOT كفر'
+            }), { 
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            }));
+          }
+        } else if (type === 'exact') {
           search.findToken(query);
         } else {
           search.findSubstring(query);
         }
         
-        const results = search.getResults();
-        return addCorsHeaders(new Response(JSON.stringify({
+        let results;
+        try {
+          results = search.getResults();
+        } catch (error) {
+          if (!(error instanceof PatternError) && !(error instanceof QuerySyntaxError)) {
+            throw error;
+          }
+          return addCorsHeaders(new Response(JSON.stringify({ error: error.message, position: error.position }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        // Facets and the occurrence total cover every result, not just the page, so they
+        // are counted before the page's text is mapped into another script or form
+        const hits = results.map(result => ({
+          chapterNumber: result.chapterNumber,
+          verseNumber: result.verseNumber,
+          occurrenceCount: search.countOccurrences(result)
+        }));
+        
+        // Match spans are only worked out for the results returned
+        const page = pagination.slice(results);
+        for (const result of page) {
+          result.matches = search.getMatches(result);
+          // Searching runs on the Uthmani text; other scripts show the same tokens
+          if (script !== DEFAULT_SCRIPT) {
+            const verse = Document.getVerse(result.chapterNumber, result.verseNumber);
+            const edition = Document.getVerse(result.chapterNumber, result.verseNumber, script);
+            const tokens = edition.getTokens();
+            result.verseText = edition.getText();
+            result.matches = Highlighter.toMatches(result.verseText, verse.alignSpans(result.matches, edition));
+            for (const token of result.matchingTokens) {
+              token.text = tokens[token.number - 1].getText();
+            }
+          }
+          // Output transforms come last, so matches point into the text as returned
+          if (transform) {
+            result.matches = transform.applyToMatches(result.verseText, result.matches);
+            result.verseText = transform.apply(result.verseText);
+            for (const token of result.matchingTokens) {
+              token.text = transform.apply(token.text);
+            }
+          }
+          if (highlight) {
+            result.highlightedText = Highlighter.wrap(result.verseText, result.matches, highlight);
+          }
+        }
+        
+        const response = {
           query,
           type,
-          normalize,
+          syntax,
+          normalize: profile,
           resultCount: results.length,
-          results: results.slice(0, limit),
-          hasMore: results.length > limit
+          occurrenceCount: hits.reduce((sum, hit) => sum + hit.occurrenceCount, 0),
+          results: page,
+          hasMore: pagination.offset + page.length < results.length,
+          pagination: pagination.describe(results.length)
+        };
+        if (facetTypes.length > 0) {
+          response.facets = SearchFacets.count(hits, facetTypes);
+        }
+        if (type === 'fuzzy') {
+          response.distance = maxDistance;
+        }
+        if (highlight) {
+          response.highlight = highlight;
+        }
+        if (scope) {
+          response.scope = scope.describe();
+        }
+        if (script !== DEFAULT_SCRIPT) {
+          response.script = script;
+        }
+        if (transform) {
+          response.transforms = transform.describe();
+        }
+        return addCorsHeaders(new Response(JSON.stringify(response), {
+          headers: { 'Content-Type': 'application/json' }
+        }));
+      }
+
+
+      // GET /api/normalize - Show how text normalizes under each profile
+      if (path === '/api/normalize') {
+        const text = url.searchParams.get('text');
+        const profile = url.searchParams.get('profile');
+        
+        if (!text) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: 'Query parameter "text" is required',
+            usage: 'GET /api/normalize?text=ٱلرَّحْمَٰنِ&profile=standard'
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        if (profile && !ArabicTextUtils.getProfiles().includes(profile)) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: `Invalid profile: ${profile}`,
+            validProfiles: ArabicTextUtils.getProfiles()
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        const profiles = {};
+        for (const name of profile ? [profile] : ArabicTextUtils.getProfiles()) {
+          profiles[name] = ArabicTextUtils.normalize(text, name);
+        }
+        return addCorsHeaders(new Response(JSON.stringify({
+          text,
+          profiles
         }), {
           headers: { 'Content-Type': 'application/json' }
         }));
       }
 
+      // GET /api/suggest - Type-ahead completions for the last word of a query
+      if (path === '/api/suggest') {
+        const query = url.searchParams.get('q');
+        const source = url.searchParams.get('source') || 'arabic';
+        // Typed Arabic rarely carries diacritics, so completions fold with standard unless told otherwise
+        const profile = url.searchParams.has('normalize') ? ArabicTextUtils.parseProfile(url.searchParams.get('normalize')) : 'standard';
+        
+        if (!query || !query.trim()) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: 'Query parameter "q" is required',
+            usage: 'GET /api/suggest?q=الرح&source=arabic&limit=10'
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        if (!SuggestIndex.getSources().includes(source)) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: `Invalid source: ${source}`,
+            validSources: SuggestIndex.getSources()
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        if (!profile) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: `Invalid normalize value: ${url.searchParams.get('normalize')}`,
+            validProfiles: ArabicTextUtils.getProfiles()
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        let limit;
+        try {
+          limit = Pagination.parseLimit(url.searchParams.get('limit'), MAX_SUGGEST_LIMIT);
+        } catch (error) {
+          if (!(error instanceof PaginationError)) {
+            throw error;
+          }
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: error.message,
+            usage: 'GET /api/suggest?q=mer&source=en.hilali&limit=10'
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        
+        // Only the last word is completed, the way a search box is typed
+        const folded = source === 'arabic' ? ArabicTextUtils.normalize(query, profile) : TextAnalyzer.fold(query).text;
+        const words = folded.trim().split(/\s+/);
+        const prefix = words[words.length - 1];
+        const suggestions = prefix ? SuggestIndex.suggest(source, prefix, profile, limit === null ? DEFAULT_SUGGEST_LIMIT : limit) : [];
+        
+        const response = {
+          query,
+          prefix,
+          source
+        };
+        if (source === 'arabic') {
+          response.normalize = profile;
+        }
+        response.suggestions = suggestions.map(entry => ({
+          text: entry.key,
+          count: entry.count,
+          forms: entry.forms.slice(0, SUGGEST_FORM_LIMIT)
+        }));
+        return addCorsHeaders(new Response(JSON.stringify(response), {
+          headers: { 'Content-Type': 'application/json' }
+        }));
+      }
+
       // GET /api/search/translation - Search within translations (reverse search)
       if (path === '/api/search/translation') {
         const query = url.searchParams.get('q');
-        const lang = url.searchParams.get('lang') || 'en'; // 'en', 'ms', 'zh', or 'ta'
+        const lang = url.searchParams.get('lang') || 'en'; // language code of the translations to search
+        const translationParam = url.searchParams.get('translations'); // keys, or 'all'
         const type = url.searchParams.get('type') || 'substring'; // 'exact' or 'substring'
-        const limit = parseInt(url.searchParams.get('limit')) || 50;
         const includeArabic = url.searchParams.get('include_arabic') !== 'false'; // default true
+        const script = url.searchParams.get('script') || DEFAULT_SCRIPT; // of the Arabic text
+        const highlight = Highlighter.parseTag(url.searchParams.get('highlight'));
+        const facetTypes = SearchFacets.parse(url.searchParams.get('facets'));
+        const supportedLangs = [...new Set(Object.values(translations).map(t => t.language))];
         
         if (!query) {
           return addCorsHeaders(new Response(JSON.stringify({ 
-            error: 'Query parameter "q" is required',
-            usage: 'GET /api/search/translation?q=mercy&lang=en&type=substring&limit=20',
-            supportedLanguages: ['en', 'ms', 'zh', 'ta'],
-            examples: {
-              english: '/api/search/translation?q=forgiveness&lang=en',
-              malay: '/api/search/translation?q=kasih&lang=ms',
-              chinese: '/api/search/translation?q=真主&lang=zh',
-              tamil: '/api/search/translation?q=கடவுள்&lang=ta'
-            }
+            error: 'Query parameter "q" is required',
+            usage: 'GET /api/search/translation?q=mercy&lang=en&type=substring&limit=20',
+            supportedLanguages: supportedLangs,
+            availableTranslations: Object.keys(translations),
+            examples: {
+              english: '/api/search/translation?q=forgiveness&lang=en',
+              malay: '/api/search/translation?q=kasih&lang=ms',
+              chinese: '/api/search/translation?q=真主&lang=zh',
+              tamil: '/api/search/translation?q=கடவுள்&lang=ta',
+              several: '/api/search/translation?q=Allah&translations=en.hilali,ms.basmeih'
+            }
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+
+        // Translations named by key, or every translation in the requested language
+        let translationKeys;
+        if (translationParam) {
+          translationKeys = translationParam === 'all' ?
+            Object.keys(translations) :
+            [...new Set(translationParam.split(',').map(key => key.trim()).filter(key => key))];
+          const unknownKeys = translationKeys.filter(key => !translations[key]);
+          if (unknownKeys.length > 0 || translationKeys.length === 0) {
+            return addCorsHeaders(new Response(JSON.stringify({ 
+              error: `Translation not found: ${unknownKeys.join(', ') || translationParam}`,
+              available: Object.keys(translations)
+            }), { 
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            }));
+          }
+        } else {
+          if (!supportedLangs.includes(lang)) {
+            return addCorsHeaders(new Response(JSON.stringify({ 
+              error: `Unsupported language: ${lang}`,
+              supportedLanguages: supportedLangs
+            }), { 
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            }));
+          }
+          translationKeys = Object.keys(translations).filter(key => translations[key].language === lang);
+        }
+
+        const scriptError = getScriptError(script);
+        if (scriptError) {
+          return addCorsHeaders(new Response(JSON.stringify(scriptError.body), { 
+            status: scriptError.status,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+
+        const { transform, error: transformError } = parseTransform(url.searchParams, 'GET /api/search/translation?q=mercy&diacritics=false&marks=false');
+        if (transformError) {
+          return addCorsHeaders(new Response(JSON.stringify(transformError.body), { 
+            status: transformError.status,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+        const form = text => transform ? transform.apply(text) : text;
+
+        if (highlight === null) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: `Invalid highlight value: ${url.searchParams.get('highlight')}`,
+            usage: 'GET /api/search/translation?q=mercy&highlight=mark'
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+
+        if (!facetTypes) {
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: `Invalid facets: ${url.searchParams.get('facets')}`,
+            validFacets: SearchFacets.getTypes()
+          }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+
+        let pagination;
+        try {
+          pagination = Pagination.fromParams(url);
+        } catch (error) {
+          if (!(error instanceof PaginationError)) {
+            throw error;
+          }
+          return addCorsHeaders(new Response(JSON.stringify({ 
+            error: error.message,
+            parameter: error.parameter,
+            usage: 'GET /api/search/translation?q=mercy&limit=20&page=2'
           }), { 
             status: 400,
             headers: { 'Content-Type': 'application/json' }
           }));
         }
 
-        // Validate language
-        const supportedLangs = ['en', 'ms', 'zh', 'ta'];
-        if (!supportedLangs.includes(lang)) {
+        let scope;
+        try {
+          scope = SearchScope.fromParams(url.searchParams);
+        } catch (error) {
+          if (!(error instanceof ScopeError)) {
+            throw error;
+          }
           return addCorsHeaders(new Response(JSON.stringify({ 
-            error: `Unsupported language: ${lang}`,
-            supportedLanguages: supportedLangs
+            error: error.message,
+            parameter: error.parameter,
+            usage: 'GET /api/search/translation?q=patience&revelation=meccan&chapters=2-9&exclude=9'
           }), { 
             status: 400,
             headers: { 'Content-Type': 'application/json' }
           }));
         }
 
-        // Get the appropriate translation key
-        const translationKeyMap = {
-          'en': 'en.hilali',
-          'ms': 'ms.basmeih', 
-          'zh': 'zh.jian',
-          'ta': 'ta.tamil'
-        };
-        const translationKey = translationKeyMap[lang];
-        const translation = translations[translationKey];
-        
-        if (!translation) {
+        // Regex and wildcard patterns are matched word by word
+        let pattern = null;
+        if (type === 'regex' || type === 'wildcard') {
+          try {
+            pattern = PatternMatcher.compile(query, type, { caseInsensitive: true });
+          } catch (error) {
+            if (!(error instanceof PatternError)) {
+              throw error;
+            }
+            return addCorsHeaders(new Response(JSON.stringify({ 
+              error: error.message,
+              usage: 'GET /api/search/translation?q=forgiv*&type=wildcard&lang=en'
+            }), { 
+              status: 400,
+              headers: { 'Content-Type': 'application/json' }
+            }));
+          }
+        }
+
+        const sort = url.searchParams.get('sort') || 'location';
+        if (sort !== 'location' && sort !== 'relevance') {
           return addCorsHeaders(new Response(JSON.stringify({ 
-            error: `Translation not available for language: ${lang}`,
-            available: Object.keys(translations)
+            error: `Invalid sort: ${sort}`,
+            validSorts: ['location', 'relevance']
           }), { 
-            status: 404,
+            status: 400,
             headers: { 'Content-Type': 'application/json' }
           }));
         }
 
-        // Perform search in translation text
-        const searchResults = [];
-        const queryLower = query.toLowerCase();
+        // Search each translation on its own, then merge matches per verse
+        const resultsByVerse = new Map();
+        const occurrencesByVerse = new Map();
         
-        translation.chapters.forEach(chapter => {
-          chapter.verses.forEach(verse => {
-            const verseTextLower = verse.text.toLowerCase();
-            let matches = false;
-            
-            if (type === 'exact') {
-              // Split into words and check for exact word match
-              const words = verseTextLower.split(/\s+/);
-              matches = words.some(word => 
-                word.replace(/[.,;:!?()[\]{}'"]/g, '') === queryLower
-              );
-            } else {
-              // Substring search
-              matches = verseTextLower.includes(queryLower);
+        try {
+          for (const translationKey of translationKeys) {
+            const translation = translations[translationKey];
+
+            // Relevance ranking matches each word of the query on its own; otherwise the whole query must match
+            const matcher = new TranslationMatcher(type, translation.language, pattern);
+            const terms = matcher.getTerms(query, sort === 'relevance');
+            const hits = [];
+
+            translation.chapters.forEach(chapter => {
+              chapter.verses.forEach(verse => {
+                if (scope && !scope.includes(chapter.number, verse.number)) {
+                  return;
+                }
+                const termSpans = matcher.match(verse.text, terms);
+                const spans = termSpans.flat();
+              
+                if (spans.length > 0) {
+                  const match = {
+                    text: verse.text,
+                    language: translation.language,
+                    languageName: translation.language_name,
+                    translator: translation.translator,
+                    snippet: TranslationMatcher.makeSnippet(verse.text, spans),
+                    matches: Highlighter.toMatches(verse.text, spans)
+                  };
+                  
+                  if (pattern) {
+                    match.matchingTokens = spans.map(span => ({ number: span.number, text: span.text }));
+                  }
+
+                  hits.push({ chapter, verse, match, occurrenceCount: spans.length, termFrequencies: termSpans.map(list => list.length), length: Bm25.getLength(verse.text) });
+                }
+              });
+            });
+
+            // Scores are only comparable within one translation, so each is ranked against its own
+            // statistics and verses are merged on their score relative to that translation's best hit
+            if (sort === 'relevance') {
+              const stats = Bm25.getStats(translationKey);
+              const documentFrequencies = terms.map((term, index) => hits.filter(hit => hit.termFrequencies[index] > 0).length);
+              const scores = hits.map(hit => Bm25.score(stats, hit.termFrequencies, documentFrequencies, hit.length));
+              const best = Math.max(...scores);
+              hits.forEach((hit, index) => {
+                hit.match.score = Math.round(scores[index] * 10000) / 10000;
+                hit.relevance = best > 0 ? Math.round(scores[index] / best * 10000) / 10000 : 0;
+              });
             }
-            
-            if (matches) {
-              const result = {
-                chapterNumber: chapter.number,
-                verseNumber: verse.number,
-                chapterName: chapter.name,
-                chapterNameArabic: chapter.name_arabic,
-                translation: {
-                  text: verse.text,
-                  language: lang,
-                  languageName: translation.language_name,
-                  translator: translation.translator
+
+            for (const hit of hits) {
+              const location = `${hit.chapter.number}:${hit.verse.number}`;
+              let result = resultsByVerse.get(location);
+              if (!result) {
+                result = {
+                  chapterNumber: hit.chapter.number,
+                  verseNumber: hit.verse.number,
+                  chapterName: hit.chapter.name,
+                  chapterNameArabic: hit.chapter.name_arabic,
+                  matchedTranslations: [],
+                  translations: {}
+                };
+                // A single translation's match is also given on the result, as before translations were merged
+                if (translationKeys.length === 1) {
+                  result.translation = hit.match;
+                  result.snippet = hit.match.snippet;
+                  if (pattern) {
+                    result.matchingTokens = hit.match.matchingTokens;
+                  }
+                }
+                if (sort === 'relevance') {
+                  result.score = translationKeys.length === 1 ? hit.match.score : hit.relevance;
                 }
-              };
 
-              // Include Arabic text if requested
-              if (includeArabic) {
-                const arabicVerse = Document.getVerse(chapter.number, verse.number);
-                if (arabicVerse) {
-                  result.arabic = {
-                    text: arabicVerse.getText(),
-                    source: "Tanzil.net Uthmani"
-                  };
+                // Include Arabic text if requested
+                if (includeArabic) {
+                  const arabicVerse = Document.getVerse(hit.chapter.number, hit.verse.number, script);
+                  if (arabicVerse) {
+                    result.arabic = {
+                      text: form(arabicVerse.getText()),
+                      script,
+                      source: Document.getScriptSource(script)
+                    };
+                  }
                 }
+                resultsByVerse.set(location, result);
+              } else if (sort === 'relevance' && hit.relevance > result.score) {
+                result.score = hit.relevance;
               }
-
-              searchResults.push(result);
+              result.matchedTranslations.push(translationKey);
+              result.translations[translationKey] = hit.match;
+              occurrencesByVerse.set(location, (occurrencesByVerse.get(location) || 0) + hit.occurrenceCount);
             }
-          });
-        });
+          }
+        } catch (error) {
+          if (!(error instanceof PatternError)) {
+            throw error;
+          }
+          return addCorsHeaders(new Response(JSON.stringify({ error: error.message }), { 
+            status: 400,
+            headers: { 'Content-Type': 'application/json' }
+          }));
+        }
+
+        const searchResults = [...resultsByVerse.values()];
 
-        // Sort by chapter and verse number
+        // Sort by score when ranking, then by chapter and verse number
         searchResults.sort((a, b) => {
+          if (sort === 'relevance' && a.score !== b.score) {
+            return b.score - a.score;
+          }
           if (a.chapterNumber !== b.chapterNumber) {
             return a.chapterNumber - b.chapterNumber;
           }
           return a.verseNumber - b.verseNumber;
         });
 
-        return addCorsHeaders(new Response(JSON.stringify({
+        const searched = translationKeys.map(key => translations[key]);
+        const response = {
           query,
-          language: lang,
-          languageName: translation.language_name,
-          translator: translation.translator,
+          translations: translationKeys
+        };
+        // Language details only describe the results when a single translation was searched
+        if (searched.length === 1) {
+          response.language = searched[0].language;
+          response.languageName = searched[0].language_name;
+          response.translator = searched[0].translator;
+        }
+        const page = pagination.slice(searchResults);
+        if (highlight) {
+          for (const result of page) {
+            for (const match of Object.values(result.translations)) {
+              match.highlightedText = Highlighter.wrap(match.text, match.matches, highlight);
+            }
+          }
+        }
+        // Facets and the occurrence total cover every result, not just the page; a verse
+        // counts the occurrences in each translation that matched it
+        const hits = searchResults.map(result => ({
+          chapterNumber: result.chapterNumber,
+          verseNumber: result.verseNumber,
+          occurrenceCount: occurrencesByVerse.get(`${result.chapterNumber}:${result.verseNumber}`)
+        }));
+        Object.assign(response, {
           searchType: type,
+          sort,
           includeArabic,
           resultCount: searchResults.length,
-          results: searchResults.slice(0, limit),
-          hasMore: searchResults.length > limit,
+          occurrenceCount: hits.reduce((sum, hit) => sum + hit.occurrenceCount, 0),
+          results: page,
+          hasMore: pagination.offset + page.length < searchResults.length,
+          pagination: pagination.describe(searchResults.length),
           searchInfo: {
-            totalVerses: translation.chapters.reduce((sum, ch) => sum + ch.verses.length, 0),
-            searchedIn: `${translation.name} by ${translation.translator}`
+            totalVerses: scope ? scope.describe().verseCount : Document.getVerseCount(),
+            searchedIn: searched.map(translation => `${translation.name} by ${translation.translator}`)
           }
-        }), {
+        });
+        if (highlight) {
+          response.highlight = highlight;
+        }
+        if (scope) {
+          response.scope = scope.describe();
+        }
+        if (facetTypes.length > 0) {
+          response.facets = SearchFacets.count(hits, facetTypes);
+        }
+        if (transform) {
+          response.transforms = transform.describe();
+        }
+
+        return addCorsHeaders(new Response(JSON.stringify(response), {
           headers: { 'Content-Type': 'application/json' }
         }));
       }
@@ -824,22 +4619,61 @@ export default {
           endpoints: {
             "GET /api/info": "Basic information about the Quran",
             "GET /api/stats": "Statistical information",
-            "GET /api/chapters": "List all chapters",
-            "GET /api/chapters/{id}": "Get specific chapter with all verses",
-            "GET /api/verses/{chapterNum}/{verseNum}": "Get specific verse with tokens",
-            "GET /api/search": "Search for text in the Quran"
+            "GET /api/chapters": "List all chapters (?sort=revelation for chronological order)",
+            "GET /api/chapters/{id}": "Get specific chapter with all verses (?script=simple for the Simple edition, ?bismillah=separate|prepend|omit)",
+            "GET /api/translations/{key}/chapters/{id}": "Get a translated chapter (?bismillah=separate|prepend|omit)",
+            "GET /api/verses/{chapterNum}/{verseNum}": "Get specific verse with tokens, their clean words and pause marks",
+            "GET /api/verses/{chapterNum}/{verseNum}/segments": "Split a verse into recitation segments at its waqf (pause) signs",
+            "GET /api/passages?ref=...": "Get verses for references like 1:1-7,2:255-257,112 (up to 1000 verses)",
+            "GET /api/references/parse?q=...": "Resolve free-form references like 'Al-Baqarah 255' or 'البقرة ٢٥٥' (up to 200 characters)",
+            "GET /api/juz/{n}": "Get all verses of a juz (1-30)",
+            "GET /api/hizb/{n}": "Get all verses of a hizb (1-60)",
+            "GET /api/rub/{n}": "Get all verses of a rub' al-hizb (1-240)",
+            "GET /api/pages/{n}": "Get all verses on a Madani mushaf page (1-604)",
+            "GET /api/manzil/{n}": "Get all verses of a manzil (1-7)",
+            "GET /api/ruku/{n}": "Get all verses of a ruku' (1-556)",
+            "GET /api/sajdas": "List the 15 prostration (sajda) verses",
+            "GET /api/waqf?type=jaiz": "Locations (chapter:verse:token) of a waqf sign, or counts of every sign without type",
+            "GET /api/search": "Search for text in the Quran",
+            "GET /api/normalize?text=...": "Show how text normalizes under each profile (or ?profile=...)",
+            "GET /api/suggest?q=...": "Most frequent completions of the last word, with counts (?source=arabic or a translation key)"
           },
           searchParameters: {
             "q": "Search query (required)",
-            "type": "Search type: 'exact' or 'substring' (default: substring)",
-            "normalize": "Normalize Arabic text: true/false (default: false)",
-            "limit": "Maximum results to return (default: 50)"
+            "type": "Search type: 'exact', 'substring', 'regex', 'wildcard' or 'fuzzy' (default: substring)",
+            "distance": "Maximum edits for type=fuzzy, 0-3 (default: one per four letters, at most 2)",
+            "normalize": "Normalization profile: none, light, standard or aggressive; true means standard (default: none)",
+            "highlight": "Element name to wrap matches in highlightedText, e.g. mark; true means mark (default: no highlighting)",
+            "script": "Show results in the uthmani, simple or simple-clean script; matching still runs on the Uthmani text (default: uthmani)",
+            "diacritics": "false removes diacritics from verseText, matchingTokens and matches (also on chapter, verse and compare routes)",
+            "marks": "false removes Quranic annotation marks such as waqf signs and small high letters",
+            "unicode": "nfc or nfd: Unicode normalization form of the returned Arabic text",
+            "chapters": "Only search these chapters or verse ranges, e.g. 2-9 or 2:1-141,18",
+            "juz": "Only search these juz, e.g. 30 or 1-3",
+            "revelation": "Only search meccan or medinan chapters",
+            "exclude": "Leave out these chapters or verse ranges, e.g. 9",
+            "facets": "Count matching verses and occurrences per chapter or division, e.g. chapter,juz",
+            "limit": "Results per page, 1-100; larger values are capped at 100 (default: 50)",
+            "offset": "Number of results to skip (or use page or cursor)",
+            "page": "Page number, counting from 1, of limit results each",
+            "cursor": "Opaque cursor from the next or prev link of a previous response"
+          },
+          querySyntax: {
+            "A AND B": "Both terms in the verse (AND may be omitted)",
+            "A OR B": "Either term",
+            "NOT A": "Verses without the term",
+            "\"A B\"": "Phrase: adjacent tokens in order",
+            "A NEAR/3 B": "Terms at most 3 tokens apart (NEAR alone means NEAR/5)",
+            "( )": "Group clauses"
           },
           examples: {
             "Get Al-Fatiha": "/api/chapters/1",
             "Get Ayat al-Kursi": "/api/verses/2/255",
-            "Search for Allah (normalized)": "/api/search?q=الله&normalize=true",
+            "Search for Allah (normalized)": "/api/search?q=الله&normalize=standard",
             "Search for Bismillah": "/api/search?q=بسم&type=substring",
+            "Fuzzy search in imla'i spelling": "/api/search?q=الصلاة&type=fuzzy",
+            "Search Meccan chapters only": "/api/search?q=صبر&normalize=standard&revelation=meccan",
+            "Count matches per chapter and juz": "/api/search?q=صبر&normalize=standard&facets=chapter,juz",
             "Get statistics": "/api/stats"
           }
         };
@@ -908,10 +4742,12 @@ export default {
 
             "list_chapters": {
               "endpoint": "GET /api/chapters",
-              "description": "Get list of all 114 chapters with basic information",
-              "parameters": "None",
-              "example_url": "https://quran-api.asrulmunir.workers.dev/api/chapters",
-              "response_fields": ["number", "name", "verseCount", "tokenCount", "bismillah"],
+              "description": "Get list of all 114 chapters with names, revelation details and page ranges",
+              "parameters": {
+                "sort": "Order: 'mushaf' or 'revelation' (default: mushaf)"
+              },
+              "example_url": "https://quran-api.asrulmunir.workers.dev/api/chapters?sort=revelation",
+              "response_fields": ["number", "name", "transliteratedName", "englishName", "revelationType", "revelationOrder", "rukuCount", "verseCount", "tokenCount", "bismillah", "startPage", "endPage"],
               "use_cases": ["Display chapter index", "Navigation menus", "Chapter selection interfaces"]
             },
 
@@ -919,10 +4755,15 @@ export default {
               "endpoint": "GET /api/chapters/{id}",
               "description": "Get complete chapter with all verses in Arabic",
               "parameters": {
-                "id": "Chapter number (1-114)"
+                "id": "Chapter number (1-114)",
+                "bismillah": "Optional: separate (bismillah field, default), prepend (added to the text of verse 1, with its words counted in bismillahTokenCount) or omit",
+                "script": "Optional: uthmani, simple or simple-clean (default: uthmani)",
+                "diacritics": "Optional: false to remove diacritics",
+                "marks": "Optional: false to remove Quranic annotation marks",
+                "unicode": "Optional: nfc or nfd"
               },
               "example_url": "https://quran-api.asrulmunir.workers.dev/api/chapters/1",
-              "response_fields": ["number", "name", "verseCount", "tokenCount", "bismillah", "verses"],
+              "response_fields": ["number", "name", "verseCount", "tokenCount", "bismillah", "bismillahMode", "bismillahTokenCount", "bismillahTranslations", "verses"],
               "use_cases": ["Display complete chapter", "Reading interfaces", "Chapter analysis"],
               "popular_chapters": {
                 "1": "Al-Fatihah (The Opening)",
@@ -939,10 +4780,14 @@ export default {
               "description": "Get specific verse in Arabic with detailed information",
               "parameters": {
                 "chapter": "Chapter number (1-114)",
-                "verse": "Verse number within chapter"
+                "verse": "Verse number within chapter",
+                "script": "Optional: uthmani, simple or simple-clean (default: uthmani)",
+                "diacritics": "Optional: false to remove diacritics",
+                "marks": "Optional: false to remove Quranic annotation marks",
+                "unicode": "Optional: nfc or nfd"
               },
               "example_url": "https://quran-api.asrulmunir.workers.dev/api/verses/2/255",
-              "response_fields": ["chapterNumber", "verseNumber", "text", "location", "tokenCount", "tokens"],
+              "response_fields": ["chapterNumber", "verseNumber", "text", "location", "tokenCount", "tokens (number, text, word, location, pause, and pauseMark when there is one)"],
               "use_cases": ["Display specific verses", "Verse-by-verse study", "Citation and reference"],
               "famous_verses": {
                 "1:1": "Bismillah (In the name of Allah)",
@@ -956,14 +4801,19 @@ export default {
               "description": "Get verse in Arabic with all available translations side-by-side",
               "parameters": {
                 "chapter": "Chapter number (1-114)",
-                "verse": "Verse number within chapter"
+                "verse": "Verse number within chapter",
+                "script": "Optional: uthmani, simple or simple-clean (default: uthmani)",
+                "diacritics": "Optional: false to remove diacritics",
+                "marks": "Optional: false to remove Quranic annotation marks",
+                "unicode": "Optional: nfc or nfd"
               },
               "example_url": "https://quran-api.asrulmunir.workers.dev/api/compare/1/1",
               "response_structure": {
                 "chapterNumber": "number",
                 "verseNumber": "number",
                 "arabic": {
-                  "text": "Arabic text in Uthmani script",
+                  "text": "Arabic text in the requested script (Uthmani by default)",
+                  "script": "uthmani, simple or simple-clean",
                   "source": "Tanzil.net Uthmani"
                 },
                 "translations": {
@@ -992,15 +4842,32 @@ export default {
               },
               "optional_parameters": {
                 "type": "Search type: 'exact' or 'substring' (default: substring)",
-                "normalize": "Arabic text normalization: true/false (default: false)",
-                "limit": "Maximum results to return (default: 50, max: 100)"
+                "normalize": "Normalization profile: none, light, standard or aggressive; true means standard (default: none)",
+                "highlight": "Element name to wrap matches in, returned as highlightedText, e.g. mark; true means mark",
+                "script": "Show verseText and matches in the uthmani, simple or simple-clean script (default: uthmani)",
+                "diacritics": "false removes diacritics from the returned text",
+                "marks": "false removes Quranic annotation marks from the returned text",
+                "unicode": "nfc or nfd normalization of the returned text",
+                "chapters": "Only search these chapters or verse ranges, e.g. 2-9",
+                "juz": "Only search these juz, e.g. 30 or 1-3",
+                "revelation": "Only search 'meccan' or 'medinan' chapters",
+                "exclude": "Leave out these chapters or verse ranges, e.g. 9",
+                "facets": "Comma-separated: chapter, juz, hizb, rub, page, manzil or ruku; counts verses and occurrences in each",
+                "limit": "Results per page (default: 50, max: 100; larger values are capped)",
+                "offset": "Number of results to skip; alternatively page or cursor",
+                "page": "Page number, counting from 1",
+                "cursor": "Opaque cursor taken from pagination.next or pagination.prev"
               },
               "example_urls": [
                 "https://quran-api.asrulmunir.workers.dev/api/search?q=الله",
                 "https://quran-api.asrulmunir.workers.dev/api/search?q=الله&normalize=true&limit=10",
                 "https://quran-api.asrulmunir.workers.dev/api/search?q=بسم&type=substring&normalize=true"
               ],
-              "response_fields": ["query", "type", "normalize", "resultCount", "results", "hasMore"],
+              "response_fields": ["query", "type", "normalize", "resultCount", "occurrenceCount", "results", "hasMore", "pagination", "scope", "facets"],
+              "result_fields": {
+                "matches": "Matched text as {start, end, text}, UTF-16 offsets into the unnormalized verseText",
+                "highlightedText": "verseText with matches wrapped, when highlight is given"
+              },
               "search_tips": {
                 "normalization": "Use normalize=true for better Arabic text matching",
                 "common_terms": ["الله (Allah)", "رب (Lord)", "رحمن (Rahman)", "رحيم (Rahim)", "بسم (Bismillah)"],
@@ -1017,17 +4884,33 @@ export default {
               },
               "optional_parameters": {
                 "lang": "Language: 'en' for English, 'ms' for Malay, 'zh' for Chinese, 'ta' for Tamil (default: en)",
-                "type": "Search type: 'exact' or 'substring' (default: substring)",
-                "limit": "Maximum results to return (default: 50)",
-                "include_arabic": "Include Arabic text in results: true/false (default: true)"
+                "translations": "Comma-separated translation keys from /api/translations, or 'all'; overrides lang",
+                "type": "Search type: 'exact' (stemmed words: English Porter stems without stop words, Malay roots, Chinese bigrams, Tamil NFC), 'substring', 'regex' or 'wildcard' (default: substring)",
+                "limit": "Results per page (default: 50, max: 100; larger values are capped)",
+                "offset": "Number of results to skip; alternatively page or cursor",
+                "page": "Page number, counting from 1",
+                "cursor": "Opaque cursor taken from pagination.next or pagination.prev",
+                "sort": "'location' (Quran order) or 'relevance' (BM25 over each query word within each translation, with a score per result, scaled to each translation's best hit when several are searched) (default: location)",
+                "include_arabic": "Include Arabic text in results: true/false (default: true)",
+                "script": "Script of the Arabic text: uthmani, simple or simple-clean (default: uthmani)",
+                "diacritics": "false removes diacritics from the Arabic text",
+                "marks": "false removes Quranic annotation marks from the Arabic text",
+                "unicode": "nfc or nfd: Unicode normalization form of the Arabic text",
+                "highlight": "Element name to wrap matches in, returned as highlightedText for each translation, e.g. mark",
+                "chapters": "Only search these chapters or verse ranges, e.g. 2-9",
+                "juz": "Only search these juz, e.g. 30 or 1-3",
+                "revelation": "Only search 'meccan' or 'medinan' chapters",
+                "exclude": "Leave out these chapters or verse ranges, e.g. 9",
+                "facets": "Comma-separated: chapter, juz, hizb, rub, page, manzil or ruku; counts verses and occurrences in each"
               },
               "example_urls": [
                 "https://quran-api.asrulmunir.workers.dev/api/search/translation?q=mercy&lang=en",
                 "https://quran-api.asrulmunir.workers.dev/api/search/translation?q=kasih&lang=ms",
                 "https://quran-api.asrulmunir.workers.dev/api/search/translation?q=真主&lang=zh",
-                "https://quran-api.asrulmunir.workers.dev/api/search/translation?q=கடவுள்&lang=ta"
+                "https://quran-api.asrulmunir.workers.dev/api/search/translation?q=கடவுள்&lang=ta",
+                "https://quran-api.asrulmunir.workers.dev/api/search/translation?q=Allah&translations=en.hilali,ms.basmeih"
               ],
-              "response_fields": ["query", "language", "languageName", "translator", "searchType", "includeArabic", "resultCount", "results", "hasMore", "searchInfo"],
+              "response_fields": ["query", "translations", "language", "languageName", "translator", "searchType", "sort", "includeArabic", "resultCount", "occurrenceCount", "results", "hasMore", "pagination", "searchInfo", "scope", "facets"],
               "supported_languages": {
                 "en": "English (Hilali-Khan translation)",
                 "ms": "Bahasa Melayu (Basmeih translation)",
@@ -1259,6 +5142,41 @@ export default {
                     required: true,
                     description: "Chapter number (1-114)",
                     schema: { type: "integer", minimum: 1, maximum: 114 }
+                  },
+                  {
+                    name: "script",
+                    in: "query",
+                    required: false,
+                    description: "Arabic script edition: uthmani, simple or simple-clean (default: uthmani)",
+                    schema: { type: "string", enum: ["uthmani", "simple", "simple-clean"] }
+                  },
+                  {
+                    name: "diacritics",
+                    in: "query",
+                    required: false,
+                    description: "false removes harakat and superscript alif from the Arabic text",
+                    schema: { type: "boolean" }
+                  },
+                  {
+                    name: "marks",
+                    in: "query",
+                    required: false,
+                    description: "false removes Quranic annotation marks (waqf signs, small high letters) from the Arabic text",
+                    schema: { type: "boolean" }
+                  },
+                  {
+                    name: "unicode",
+                    in: "query",
+                    required: false,
+                    description: "Unicode normalization form of the Arabic text",
+                    schema: { type: "string", enum: ["nfc", "nfd"] }
+                  },
+                  {
+                    name: "bismillah",
+                    in: "query",
+                    required: false,
+                    description: "separate returns the basmala as bismillah (with bismillahTranslations), prepend adds it to the text of verse 1 (its words counted in bismillahTokenCount), omit leaves it out",
+                    schema: { type: "string", enum: ["separate", "prepend", "omit"], default: "separate" }
                   }
                 ],
                 responses: {
@@ -1285,6 +5203,34 @@ export default {
                     required: true,
                     description: "Verse number within chapter",
                     schema: { type: "integer", minimum: 1 }
+                  },
+                  {
+                    name: "script",
+                    in: "query",
+                    required: false,
+                    description: "Arabic script edition: uthmani, simple or simple-clean (default: uthmani)",
+                    schema: { type: "string", enum: ["uthmani", "simple", "simple-clean"] }
+                  },
+                  {
+                    name: "diacritics",
+                    in: "query",
+                    required: false,
+                    description: "false removes harakat and superscript alif from the Arabic text",
+                    schema: { type: "boolean" }
+                  },
+                  {
+                    name: "marks",
+                    in: "query",
+                    required: false,
+                    description: "false removes Quranic annotation marks (waqf signs, small high letters) from the Arabic text",
+                    schema: { type: "boolean" }
+                  },
+                  {
+                    name: "unicode",
+                    in: "query",
+                    required: false,
+                    description: "Unicode normalization form of the Arabic text",
+                    schema: { type: "string", enum: ["nfc", "nfd"] }
                   }
                 ],
                 responses: {
@@ -1311,6 +5257,34 @@ export default {
                     required: true,
                     description: "Verse number within chapter",
                     schema: { type: "integer", minimum: 1 }
+                  },
+                  {
+                    name: "script",
+                    in: "query",
+                    required: false,
+                    description: "Arabic script edition: uthmani, simple or simple-clean (default: uthmani)",
+                    schema: { type: "string", enum: ["uthmani", "simple", "simple-clean"] }
+                  },
+                  {
+                    name: "diacritics",
+                    in: "query",
+                    required: false,
+                    description: "false removes harakat and superscript alif from the Arabic text",
+                    schema: { type: "boolean" }
+                  },
+                  {
+                    name: "marks",
+                    in: "query",
+                    required: false,
+                    description: "false removes Quranic annotation marks (waqf signs, small high letters) from the Arabic text",
+                    schema: { type: "boolean" }
+                  },
+                  {
+                    name: "unicode",
+                    in: "query",
+                    required: false,
+                    description: "Unicode normalization form of the Arabic text",
+                    schema: { type: "string", enum: ["nfc", "nfd"] }
                   }
                 ],
                 responses: {
@@ -1345,21 +5319,119 @@ export default {
                     in: "query",
                     required: false,
                     description: "Search type",
-                    schema: { type: "string", enum: ["exact", "substring"], default: "substring" }
+                    schema: { type: "string", enum: ["exact", "substring", "regex", "wildcard", "fuzzy"], default: "substring" }
+                  },
+                  {
+                    name: "distance",
+                    in: "query",
+                    required: false,
+                    description: "Maximum edit distance for type=fuzzy",
+                    schema: { type: "integer", minimum: 0, maximum: 3 }
                   },
                   {
                     name: "normalize",
                     in: "query",
                     required: false,
-                    description: "Arabic text normalization",
-                    schema: { type: "boolean", default: false }
+                    description: "Arabic normalization profile (true means standard, false means none)",
+                    schema: { type: "string", enum: ["none", "light", "standard", "aggressive", "true", "false"], default: "none" }
+                  },
+                  {
+                    name: "highlight",
+                    in: "query",
+                    required: false,
+                    description: "Element name to wrap matches in, returned as highlightedText (true means mark)",
+                    schema: { type: "string" }
+                  },
+                  {
+                    name: "chapters",
+                    in: "query",
+                    required: false,
+                    description: "Only search these chapters or verse ranges, e.g. 2-9",
+                    schema: { type: "string" }
+                  },
+                  {
+                    name: "juz",
+                    in: "query",
+                    required: false,
+                    description: "Only search these juz, e.g. 30 or 1-3",
+                    schema: { type: "string" }
+                  },
+                  {
+                    name: "revelation",
+                    in: "query",
+                    required: false,
+                    description: "Only search chapters of this revelation type",
+                    schema: { type: "string", enum: ["meccan", "medinan"] }
+                  },
+                  {
+                    name: "exclude",
+                    in: "query",
+                    required: false,
+                    description: "Leave out these chapters or verse ranges",
+                    schema: { type: "string" }
+                  },
+                  {
+                    name: "facets",
+                    in: "query",
+                    required: false,
+                    description: "Comma-separated facet types (chapter, juz, hizb, rub, page, manzil, ruku)",
+                    schema: { type: "string" }
                   },
                   {
                     name: "limit",
                     in: "query",
                     required: false,
-                    description: "Maximum results to return",
+                    description: "Results per page",
                     schema: { type: "integer", minimum: 1, maximum: 100, default: 50 }
+                  },
+                  {
+                    name: "offset",
+                    in: "query",
+                    required: false,
+                    description: "Number of results to skip",
+                    schema: { type: "integer", minimum: 0, default: 0 }
+                  },
+                  {
+                    name: "page",
+                    in: "query",
+                    required: false,
+                    description: "Page number of limit results, instead of offset",
+                    schema: { type: "integer", minimum: 1 }
+                  },
+                  {
+                    name: "cursor",
+                    in: "query",
+                    required: false,
+                    description: "Opaque cursor from pagination.next or pagination.prev, instead of offset",
+                    schema: { type: "string" }
+                  },
+                  {
+                    name: "script",
+                    in: "query",
+                    required: false,
+                    description: "Arabic script edition: uthmani, simple or simple-clean (default: uthmani)",
+                    schema: { type: "string", enum: ["uthmani", "simple", "simple-clean"] }
+                  },
+                  {
+                    name: "diacritics",
+                    in: "query",
+                    required: false,
+                    description: "false removes harakat and superscript alif from the Arabic text",
+                    schema: { type: "boolean" }
+                  },
+                  {
+                    name: "marks",
+                    in: "query",
+                    required: false,
+                    description: "false removes Quranic annotation marks (waqf signs, small high letters) from the Arabic text",
+                    schema: { type: "boolean" }
+                  },
+                  {
+                    name: "unicode",
+                    in: "query",
+                    required: false,
+                    description: "Unicode normalization form of the Arabic text",
+                    schema: { type: "string", enum: ["nfc", "nfd"] }
                   }
                 ],
                 responses: {
@@ -1385,7 +5457,14 @@ export default {
                     in: "query",
                     required: false,
                     description: "Language code",
-                    schema: { type: "string", enum: ["en", "ms", "zh", "ta"], default: "en" }
+                    schema: { type: "string", enum: [...new Set(Object.values(translations).map(t => t.language))], default: "en" }
+                  },
+                  {
+                    name: "translations",
+                    in: "query",
+                    required: false,
+                    description: "Comma-separated translation keys, or 'all'; overrides lang",
+                    schema: { type: "string" }
                   },
                   {
                     name: "type",
@@ -1398,15 +5477,113 @@ export default {
                     name: "limit",
                     in: "query",
                     required: false,
-                    description: "Maximum results to return",
+                    description: "Results per page",
                     schema: { type: "integer", minimum: 1, maximum: 100, default: 50 }
                   },
+                  {
+                    name: "offset",
+                    in: "query",
+                    required: false,
+                    description: "Number of results to skip",
+                    schema: { type: "integer", minimum: 0, default: 0 }
+                  },
+                  {
+                    name: "page",
+                    in: "query",
+                    required: false,
+                    description: "Page number of limit results, instead of offset",
+                    schema: { type: "integer", minimum: 1 }
+                  },
+                  {
+                    name: "cursor",
+                    in: "query",
+                    required: false,
+                    description: "Opaque cursor from pagination.next or pagination.prev, instead of offset",
+                    schema: { type: "string" }
+                  },
+                  {
+                    name: "sort",
+                    in: "query",
+                    required: false,
+                    description: "Result order; relevance ranks verses by BM25 over each query word",
+                    schema: { type: "string", enum: ["location", "relevance"], default: "location" }
+                  },
                   {
                     name: "include_arabic",
                     in: "query",
                     required: false,
                     description: "Include Arabic text in results",
                     schema: { type: "boolean", default: true }
+                  },
+                  {
+                    name: "script",
+                    in: "query",
+                    required: false,
+                    description: "Script edition of the Arabic text: uthmani, simple or simple-clean (default: uthmani)",
+                    schema: { type: "string", enum: ["uthmani", "simple", "simple-clean"] }
+                  },
+                  {
+                    name: "diacritics",
+                    in: "query",
+                    required: false,
+                    description: "false removes harakat and superscript alif from the Arabic text",
+                    schema: { type: "boolean" }
+                  },
+                  {
+                    name: "marks",
+                    in: "query",
+                    required: false,
+                    description: "false removes Quranic annotation marks (waqf signs, small high letters) from the Arabic text",
+                    schema: { type: "boolean" }
+                  },
+                  {
+                    name: "unicode",
+                    in: "query",
+                    required: false,
+                    description: "Unicode normalization form of the Arabic text",
+                    schema: { type: "string", enum: ["nfc", "nfd"] }
+                  },
+                  {
+                    name: "chapters",
+                    in: "query",
+                    required: false,
+                    description: "Only search these chapters or verse ranges, e.g. 2-9",
+                    schema: { type: "string" }
+                  },
+                  {
+                    name: "juz",
+                    in: "query",
+                    required: false,
+                    description: "Only search these juz, e.g. 30 or 1-3",
+                    schema: { type: "string" }
+                  },
+                  {
+                    name: "revelation",
+                    in: "query",
+                    required: false,
+                    description: "Only search chapters of this revelation type",
+                    schema: { type: "string", enum: ["meccan", "medinan"] }
+                  },
+                  {
+                    name: "exclude",
+                    in: "query",
+                    required: false,
+                    description: "Leave out these chapters or verse ranges",
+                    schema: { type: "string" }
+                  },
+                  {
+                    name: "facets",
+                    in: "query",
+                    required: false,
+                    description: "Comma-separated facet types (chapter, juz, hizb, rub, page, manzil, ruku)",
+                    schema: { type: "string" }
+                  },
+                  {
+                    name: "highlight",
+                    in: "query",
+                    required: false,
+                    description: "Element name to wrap matches in, returned as highlightedText (true means mark)",
+                    schema: { type: "string" }
                   }
                 ],
                 responses: {
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWorker } = require('../scripts/load-worker');
+
+const { Pagination, PaginationError } = loadWorker(['Pagination', 'PaginationError']);
+
+const paginate = query => Pagination.fromParams(new URL(`https://example.com/api/search?${query}`));
+
+test('limit, offset and page set the window', () => {
+  assert.deepEqual([paginate('q=x').limit, paginate('q=x').offset], [50, 0]);
+  assert.equal(paginate('q=x&offset=20').offset, 20);
+  assert.equal(paginate('q=x&limit=10&page=3').offset, 20);
+  assert.deepEqual(paginate('q=x&limit=10&offset=5').slice([...Array(30).keys()]), [5, 6, 7, 8, 9, 10, 11, 12, 13, 14]);
+});
+
+test('limits above the maximum are capped', () => {
+  assert.equal(paginate('q=x&limit=200').limit, 100);
+  assert.equal(Pagination.parseLimit('80', 50), 50);
+  assert.equal(Pagination.parseLimit(null, 50), null);
+});
+
+test('invalid paging parameters are rejected', () => {
+  assert.throws(() => paginate('q=x&limit=0'), { name: 'PaginationError', parameter: 'limit' });
+  assert.throws(() => paginate('q=x&offset=-1'), { parameter: 'offset' });
+  assert.throws(() => paginate('q=x&page=abc'), PaginationError);
+  assert.throws(() => paginate('q=x&offset=1&page=2'), /Use only one of offset, page/);
+});
+
+test('next and prev links carry cursors for the same query', () => {
+  const described = paginate('q=x&limit=10').describe(35);
+  assert.deepEqual([described.page, described.totalPages, described.prev], [1, 4, null]);
+  const next = Pagination.fromParams(new URL(described.next));
+  assert.deepEqual([next.offset, next.limit], [10, 10]);
+  assert.equal(Pagination.fromParams(new URL(next.describe(35).prev)).offset, 0);
+});
+
+test('cursors are tied to their query', () => {
+  const next = new URL(paginate('q=x&limit=10').describe(35).next);
+  next.searchParams.set('q', 'y');
+  assert.throws(() => Pagination.fromParams(next), /different query/);
+  assert.throws(() => paginate('q=x&cursor=nonsense'), /Invalid cursor/);
+});
@@ -0,0 +1,53 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWorker } = require('../scripts/load-worker');
+
+const { QueryParser, QuerySyntaxError, PatternMatcher, PatternError } = loadWorker(['QueryParser', 'QuerySyntaxError', 'PatternMatcher', 'PatternError']);
+
+test('boolean queries parse into and, or, not and phrase nodes', () => {
+  const node = QueryParser.parse('"بسم الله" AND (رحيم OR رحمن) NOT كفر');
+  assert.equal(node.type, 'and');
+  assert.deepEqual(node.children.map(child => child.type), ['phrase', 'or', 'not']);
+  assert.deepEqual(node.children[0].words, ['بسم', 'الله']);
+  assert.deepEqual(node.children[1].children.map(child => child.text), ['رحيم', 'رحمن']);
+  assert.equal(node.children[2].child.text, 'كفر');
+});
+
+test('NEAR takes a distance', () => {
+  const node = QueryParser.parse('الله NEAR/3 رحيم');
+  assert.equal(node.type, 'near');
+  assert.equal(node.distance, 3);
+  assert.equal(node.left.text, 'الله');
+  assert.equal(node.right.text, 'رحيم');
+});
+
+test('exact matching is carried to every term', () => {
+  const node = QueryParser.parse('رحيم OR رحمن', { match: 'exact' });
+  assert.deepEqual(node.children.map(child => child.match), ['exact', 'exact']);
+});
+
+test('syntax errors give the position', () => {
+  assert.throws(() => QueryParser.parse('(الله'), { name: 'QuerySyntaxError', position: 0 });
+  assert.throws(() => QueryParser.parse('الله AND'), QuerySyntaxError);
+});
+
+test('queries are limited in length and number of terms', () => {
+  assert.throws(() => QueryParser.parse('ا'.repeat(501)), /longer than 500 characters/);
+  assert.throws(() => QueryParser.parse('a b c d e f g h i j k'), /more than 10 terms/);
+  assert.doesNotThrow(() => QueryParser.parse('a b c d e f g h i j'));
+});
+
+test('wildcards compile to anchored patterns', () => {
+  const pattern = PatternMatcher.compile('ال*ون', 'wildcard');
+  assert.ok(pattern.test('المؤمنون'));
+  assert.ok(!pattern.test('مؤمنون'));
+});
+
+test('patterns that could backtrack without bound are rejected', () => {
+  assert.throws(() => PatternMatcher.compile('(a+)+', 'regex'), PatternError);
+  assert.throws(() => PatternMatcher.compile('(a|b)*', 'regex'), PatternError);
+  assert.throws(() => PatternMatcher.compile('a*b*', 'regex'), /only one unbounded quantifier/);
+  assert.throws(() => PatternMatcher.compile('(a)\\1', 'regex'), /Backreferences/);
+  assert.throws(() => PatternMatcher.compile('a'.repeat(101), 'regex'), PatternError);
+  assert.doesNotThrow(() => PatternMatcher.compile('^ال.+ون$', 'regex'));
+});
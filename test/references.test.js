@@ -0,0 +1,41 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWorker } = require('../scripts/load-worker');
+
+const { ReferenceParser, ReferenceParseError, NaturalReferenceParser } = loadWorker(['ReferenceParser', 'ReferenceParseError', 'NaturalReferenceParser']);
+
+const locations = ref => ReferenceParser.parse(ref).map(range => [range.start.getLocation(), range.end.getLocation()]);
+
+test('references resolve to verse ranges', () => {
+  assert.deepEqual(locations('2:255'), [['2:255', '2:255']]);
+  assert.deepEqual(locations('2:255-257'), [['2:255', '2:257']]);
+  assert.deepEqual(locations('2:285-3:5'), [['2:285', '3:5']]);
+  assert.deepEqual(locations('112'), [['112:1', '112:4']]);
+  assert.deepEqual(locations('78-80'), [['78:1', '80:42']]);
+  assert.deepEqual(locations('1:1-7, 112'), [['1:1', '1:7'], ['112:1', '112:4']]);
+});
+
+test('invalid references name the segment', () => {
+  assert.throws(() => ReferenceParser.parse('abc'), ReferenceParseError);
+  assert.throws(() => ReferenceParser.parse('2:300'), { message: 'Verse 2:300 not found', segment: '2:300' });
+  assert.throws(() => ReferenceParser.parse('115'), /Chapter 115 not found/);
+  assert.throws(() => ReferenceParser.parse('3:5-2:1'), /comes before its start/);
+  assert.throws(() => ReferenceParser.parse('1:1,,2:1'), { message: 'Empty reference segment', segmentIndex: 1 });
+});
+
+test('free-form references resolve chapter names in Latin and Arabic script', () => {
+  const parsed = NaturalReferenceParser.parse('Al-Baqarah 255; Surah Yasin 1-5; البقرة ٢٥٥; Q 2:255');
+  assert.deepEqual(parsed.references.map(reference => reference.reference), ['2:255', '36:1-5', '2:255', '2:255']);
+  assert.deepEqual(parsed.unresolved, []);
+});
+
+test('misspelled chapter names match with a lower confidence', () => {
+  const [reference] = NaturalReferenceParser.parse('Bakara 3').references;
+  assert.equal(reference.reference, '2:3');
+  assert.ok(reference.confidence < 1 && reference.confidence >= 0.7);
+});
+
+test('unknown names and overlong candidates are unresolved', () => {
+  assert.equal(NaturalReferenceParser.parse('Xyzzy 1').unresolved.length, 1);
+  assert.equal(NaturalReferenceParser.parse('b'.repeat(150)).unresolved.length, 1);
+});
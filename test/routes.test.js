@@ -0,0 +1,86 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWorker } = require('../scripts/load-worker');
+
+const { default: worker } = loadWorker();
+
+async function get(path) {
+  const response = await worker.fetch(new Request(`https://example.com${path}`));
+  return { status: response.status, body: await response.json() };
+}
+
+// The basmala as verse 1:1 gives it
+async function getBasmala() {
+  return (await get('/api/verses/1/1')).body.text;
+}
+
+test('bismillah=separate returns the basmala apart from verse 1', async () => {
+  const basmala = await getBasmala();
+  const { body } = await get('/api/chapters/2');
+  assert.equal(body.bismillahMode, 'separate');
+  assert.equal(body.bismillah, basmala);
+  assert.equal(body.verses[0].text.startsWith(basmala), false);
+  assert.ok(body.bismillahTranslations['en.hilali']);
+});
+
+test('bismillah=prepend adds the basmala to the text of verse 1', async () => {
+  const basmala = await getBasmala();
+  const { body } = await get('/api/chapters/2?bismillah=prepend');
+  assert.equal(body.bismillah, null);
+  assert.equal(body.verses[0].text, `${basmala} ${(await get('/api/chapters/2')).body.verses[0].text}`);
+  assert.equal(body.verses[1].text.startsWith(basmala), false);
+});
+
+test('token counts describe the verses alone when the basmala is prepended', async () => {
+  const { body } = await get('/api/chapters/2?bismillah=prepend');
+  assert.equal(body.tokenCount, 6116);
+  assert.equal(body.verses[0].tokenCount, 1);
+  assert.equal(body.bismillahTokenCount, 4);
+  assert.equal((await get('/api/chapters/2')).body.bismillahTokenCount, undefined);
+});
+
+test('bismillah=omit leaves the basmala out', async () => {
+  const { body } = await get('/api/chapters/2?bismillah=omit');
+  assert.equal(body.bismillah, null);
+  assert.equal(body.bismillahTranslations, undefined);
+  assert.equal(body.verses[0].text, (await get('/api/chapters/2')).body.verses[0].text);
+});
+
+test('chapters 1 and 9 have no separate basmala', async () => {
+  assert.equal((await get('/api/chapters/1?bismillah=prepend')).body.verses[0].text, await getBasmala());
+  assert.equal((await get('/api/chapters/9')).body.bismillah, null);
+});
+
+test('translated chapters follow the bismillah mode', async () => {
+  const separate = (await get('/api/translations/en.hilali/chapters/2')).body;
+  const prepended = (await get('/api/translations/en.hilali/chapters/2?bismillah=prepend')).body;
+  assert.equal(prepended.verses[0].text, `${separate.bismillah} ${separate.verses[0].text}`);
+  assert.equal((await get('/api/chapters/2?bismillah=first')).status, 400);
+});
+
+test('transforms apply to verse text and are listed in the response', async () => {
+  const { body } = await get('/api/verses/1/1?diacritics=false');
+  assert.equal(body.text, 'بسم ٱلله ٱلرحمن ٱلرحيم');
+  assert.deepEqual(body.transforms, { diacritics: false });
+  assert.equal((await get('/api/verses/1/1?unicode=nfkc')).status, 400);
+});
+
+test('search matches point into the text as returned', async () => {
+  const { body } = await get('/api/search?q=الرحمن&normalize=standard&diacritics=false&limit=1');
+  const [result] = body.results;
+  for (const match of result.matches) {
+    assert.equal(result.verseText.slice(match.start, match.end), match.text);
+  }
+});
+
+test('invalid queries are rejected with 400', async () => {
+  assert.equal((await get('/api/search?q=(الله')).status, 400);
+  assert.equal((await get('/api/search?q=(a%2B)%2B&type=regex')).status, 400);
+  assert.equal((await get(`/api/references/parse?q=${'a'.repeat(201)}`)).status, 400);
+  assert.equal((await get('/api/search?q=الله&offset=1&page=2')).status, 400);
+});
+
+test('references parse into chapter and verse ranges', async () => {
+  const { body } = await get('/api/passages?ref=1:1-2,112:1');
+  assert.deepEqual(body.verses.map(verse => `${verse.chapterNumber}:${verse.verseNumber}`), ['1:1', '1:2', '112:1']);
+});
@@ -0,0 +1,54 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWorker } = require('../scripts/load-worker');
+
+const { EnglishStemmer, MalayStemmer, TextAnalyzer } = loadWorker(['EnglishStemmer', 'MalayStemmer', 'TextAnalyzer']);
+
+test('English words are reduced to Porter stems', () => {
+  assert.equal(EnglishStemmer.stem('mercy'), EnglishStemmer.stem('merciful'));
+  assert.equal(EnglishStemmer.stem('believers'), 'believ');
+  assert.equal(EnglishStemmer.stem('forgiveness'), 'forgiv');
+  assert.equal(EnglishStemmer.stem('running'), 'run');
+});
+
+test('English stop words are dropped unless kept', () => {
+  assert.deepEqual(TextAnalyzer.analyze('the mercy of Allah', 'en').map(token => token.terms), [['merci'], ['allah']]);
+  assert.equal(TextAnalyzer.analyze('the mercy of Allah', 'en', { keepStopWords: true }).length, 4);
+});
+
+test('Chinese runs are split into character pairs', () => {
+  assert.deepEqual(TextAnalyzer.analyze('真主至仁', 'zh').map(token => token.terms[0]), ['真主', '主至', '至仁']);
+});
+
+test('token offsets point into the original text', () => {
+  const text = 'In the Name of Allah, the Most Merciful';
+  const [token] = TextAnalyzer.analyze(text, 'en').filter(token => token.terms.includes('merci'));
+  assert.equal(text.slice(token.start, token.end), 'Merciful');
+});
+
+test('Malay prefixes are stripped down to the root', () => {
+  assert.ok(MalayStemmer.stems('mengasihi').includes('kasih'));
+  assert.ok(MalayStemmer.stems('memperoleh').includes('oleh'));
+  assert.ok(MalayStemmer.stems('dijadikan').includes('jadi'));
+  assert.ok(MalayStemmer.stems('kepada').includes('pada'));
+  assert.ok(MalayStemmer.stems('orang-orang').includes('orang'));
+});
+
+test('Malay di-, ke- and se- are kept before roots shorter than four letters', () => {
+  assert.deepEqual(MalayStemmer.stems('semua'), ['semua']);
+  assert.deepEqual(MalayStemmer.stems('sedia'), ['sedia']);
+  assert.deepEqual(MalayStemmer.stems('ketua'), ['ketua']);
+});
+
+test('Malay roots that only look prefixed are kept whole', () => {
+  assert.deepEqual(MalayStemmer.stems('sekutu'), ['sekutu']);
+  assert.ok(!MalayStemmer.stems('sekutunya').includes('kutu'));
+});
+
+test('query words are not stored in the stem cache', () => {
+  TextAnalyzer.analyze('zzqueryonlyword', 'ms', { cache: false });
+  TextAnalyzer.analyze('zzcorpusword', 'ms');
+  const stems = TextAnalyzer.stems.get('ms');
+  assert.ok(!stems.has('zzqueryonlyword'));
+  assert.ok(stems.has('zzcorpusword'));
+});
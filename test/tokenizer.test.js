@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { loadWorker } = require('../scripts/load-worker');
+
+const { QuranTokenizer, OutputTransform, TransformError } = loadWorker(['QuranTokenizer', 'OutputTransform', 'TransformError']);
+
+test('waqf signs join the word before them', () => {
+  const tokens = QuranTokenizer.tokenize('لَا رَيْبَ ۛ فِيهِ ۛ هُدًى');
+  assert.deepEqual(tokens.map(token => token.text), ['لَا', 'رَيْبَ ۛ', 'فِيهِ ۛ', 'هُدًى']);
+  assert.deepEqual(tokens.map(token => token.word), ['لَا', 'رَيْبَ', 'فِيهِ', 'هُدًى']);
+  assert.deepEqual(tokens.map(token => token.pause), [null, 'muanaqah', 'muanaqah', null]);
+});
+
+test('token offsets point into the verse text', () => {
+  const text = 'ذَٰلِكَ ٱلْكِتَٰبُ لَا رَيْبَ ۛ فِيهِ';
+  for (const token of QuranTokenizer.tokenize(text)) {
+    assert.equal(text.slice(token.start, token.end), token.text);
+  }
+  assert.equal(QuranTokenizer.count(text), 5);
+});
+
+test('a sign opening the verse joins the first word', () => {
+  const tokens = QuranTokenizer.tokenize('۞ إِنَّ ٱللَّهَ');
+  assert.deepEqual(tokens.map(token => token.text), ['۞ إِنَّ', 'ٱللَّهَ']);
+  assert.deepEqual(tokens[0].signs, ['۞']);
+  assert.equal(tokens[0].word, 'إِنَّ');
+});
+
+const transform = query => OutputTransform.fromParams(new URLSearchParams(query));
+
+test('transforms remove diacritics and marks and set the Unicode form', () => {
+  assert.equal(transform(''), null);
+  assert.equal(transform('diacritics=false').apply('بِسْمِ ٱللَّهِ'), 'بسم ٱلله');
+  assert.equal(transform('marks=false').apply('رَيْبَ ۛ'), 'رَيْبَ');
+  assert.equal(transform('unicode=nfd').apply('\u0622'), '\u0627\u0653');
+  assert.deepEqual(transform('diacritics=false&unicode=NFC').describe(), { diacritics: false, unicode: 'nfc' });
+});
+
+test('invalid transform values name the parameter', () => {
+  assert.throws(() => transform('diacritics=no'), { name: 'TransformError', parameter: 'diacritics' });
+  assert.throws(() => transform('unicode=nfkc'), TransformError);
+});